@@ -5,13 +5,35 @@
  * @version 11.0.0
  *
  * Features:
- * - Robust parameter validation with detailed error messages
+ * - Schema-based parameter validation with "did you mean" suggestions
+ * - Cross-field semantic rules, suppressible per sidecar
+ * - Machine-readable validation results (--validate-format=json)
  * - Color-coded terminal output for clear feedback
- * - Batch experiment execution support
+ * - Batch experiment execution support (with concurrent scheduling)
+ * - Parameter sweep expansion from a single sidecar
+ * - Tiled runs of large study areas with a mosaic step (sidecar "tiling" block)
+ * - Sidecar inheritance ("extends") and --set command-line overrides
+ * - bulcd-run subcommands (run, batch, validate, diff, status, setup, scan)
+ * - Project defaults (caller, modules, key, log dir, GCP project) from .bulcdrc.json
+ * - Semantic sidecar diff, against another sidecar or the caller's defaults (diff)
  * - Dry-run mode for validation without execution
- * - Automatic study area geometry reconstruction
- * - Comprehensive logging to files
+ * - Offline execution against a local ee stand-in (--offline)
+ * - Automatic study area geometry reconstruction (coordinates, GeoJSON, bbox, WKT or table asset)
+ * - Offline study area checks (ranges, rings, self-intersection) and area in km²
+ * - Export band manifest (order, source, description, dropped bands)
+ * - Sidecar export settings (scale, crs, region, ...) enforced on every Export call
+ * - Templated export asset IDs with an onExists policy and batch collision checks
+ * - Map layer manifest, with optional thumbnail or export previews (--layer-previews)
+ * - ui.Chart specifications recorded, optionally rendered to HTML/Vega-Lite (--render-charts)
+ * - Evaluated print() values saved per experiment (--evaluate-prints)
+ * - Comprehensive logging to files (text or NDJSON events, --log-format=json)
+ * - Provenance run manifest per experiment (hashes of sidecar, caller and modules)
+ * - Self-contained HTML report for single runs and batches, written next to the logs
  * - Progress tracking for batch operations
+ * - Resumable batch runs (--resume / --force) backed by a persisted state file
+ * - Export task monitoring until completion (--wait)
+ * - Script callbacks and timers awaited before reporting, with sync and async timeouts
+ * - Retry with exponential backoff for transient Earth Engine failures (--max-attempts)
  * - Graceful shutdown handling
  * - Module caching for performance
  */
@@ -20,6 +42,8 @@ const ee = require('@google/earthengine');
 const fs = require('fs');
 const path = require('path');
 const vm = require('vm');
+const crypto = require('crypto');
+const https = require('https');
 
 // ═══════════════════════════════════════════════════════════════════════════════
 // SECTION 1: TERMINAL STYLING & LOGGING
@@ -53,12 +77,67 @@ const Style = {
   time:    (s) => `⏱️  ${s}`,
 };
 
+function formatDuration(ms) {
+  const seconds = Math.floor(ms / 1000);
+  const minutes = Math.floor(seconds / 60);
+  const hours = Math.floor(minutes / 60);
+  if (hours > 0) return `${hours}h ${minutes % 60}m`;
+  if (minutes > 0) return `${minutes}m ${seconds % 60}s`;
+  return `${seconds}s`;
+}
+
+// Severity of each message kind, for --log-level filtering
+const LOG_LEVELS = { info: 20, success: 20, gee: 20, warning: 30, error: 40 };
+
+const stripAnsi = (s) => String(s).replace(/\x1b\[[0-9;]*m/g, '');
+
+const escapeHtml = (s) => String(s).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+
 class Logger {
-  constructor(logDir = './logs') {
+  constructor(logDir = './logs', options = {}) {
     this.logDir = logDir;
     this.logFile = null;
     this.startTime = Date.now();
     this.experimentId = null;
+    // Console tag used to tell interleaved experiments apart in parallel batches
+    this.prefix = options.prefix || null;
+    // Experiment and current section, attached to every JSON event
+    this.experiment = options.experiment || null;
+    this.currentSection = null;
+  }
+
+  enabled(level) {
+    return LOG_LEVELS[level] >= LOG_LEVELS[Logger.level];
+  }
+
+  // Raw console output (text mode only; JSON mode emits nothing but events)
+  print(line = '', ...args) {
+    if (Logger.format === 'json') return;
+    if (this.prefix) {
+      const tag = Style.gray(`[${this.prefix}]`);
+      line = String(line).split('\n').map(l => `${tag} ${l}`).join('\n');
+    }
+    console.error(line, ...args);
+  }
+
+  /**
+   * Writes one NDJSON event to the console and the log file. Every event has
+   * timestamp, level, experiment, section, message and elapsedMs; `fields`
+   * adds structured data (task config, validation codes, ...).
+   */
+  emit(type, level, message, fields = {}) {
+    const line = JSON.stringify({
+      timestamp: new Date().toISOString(),
+      level,
+      event: type,
+      experiment: this.experiment,
+      section: this.currentSection,
+      message: stripAnsi(message),
+      elapsedMs: Date.now() - this.startTime,
+      ...fields
+    });
+    console.error(line);
+    this.writeToFile(line + '\n');
   }
 
   initLogFile(experimentName) {
@@ -68,6 +147,7 @@ class Logger {
     const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
     this.experimentId = `${experimentName}_${timestamp}`;
     this.logFile = path.join(this.logDir, `${this.experimentId}.log`);
+    if (Logger.format === 'json') return;  // NDJSON files hold nothing but events
     this.writeToFile(`\n${'═'.repeat(80)}\n`);
     this.writeToFile(`BULC-D Headless Lab Runner - Experiment Log\n`);
     this.writeToFile(`Experiment: ${experimentName}\n`);
@@ -82,6 +162,23 @@ class Logger {
   }
 
   log(level, message, ...args) {
+    this.write(level, message, args, {});
+  }
+
+  /** Like log(), with structured fields for JSON mode (ignored in text mode). */
+  event(level, message, fields) {
+    this.write(level, message, [], fields);
+  }
+
+  write(level, message, args, fields) {
+    if (!this.enabled(level)) return;
+
+    if (Logger.format === 'json') {
+      const text = [message, ...args.map(a => (typeof a === 'string' ? a : JSON.stringify(a)))].join(' ');
+      this.emit('log', level, text, fields);
+      return;
+    }
+
     const timestamp = new Date().toISOString();
     const plainMessage = `[${timestamp}] [${level.toUpperCase()}] ${message} ${args.join(' ')}`;
     this.writeToFile(plainMessage + '\n');
@@ -95,7 +192,7 @@ class Logger {
       case 'gee':     styledMessage = Style.cyan('[GEE]') + ' ' + message; break;
       default:        styledMessage = message;
     }
-    console.error(styledMessage, ...args);
+    this.print(styledMessage, ...args);
   }
 
   success(message, ...args) { this.log('success', message, ...args); }
@@ -105,131 +202,533 @@ class Logger {
   gee(message, ...args)     { this.log('gee', message, ...args); }
 
   elapsed() {
-    const ms = Date.now() - this.startTime;
-    const seconds = Math.floor(ms / 1000);
-    const minutes = Math.floor(seconds / 60);
-    if (minutes > 0) return `${minutes}m ${seconds % 60}s`;
-    return `${seconds}s`;
+    return formatDuration(Date.now() - this.startTime);
   }
 
   banner(text) {
+    if (!this.enabled('info')) return;
+    if (Logger.format === 'json') return this.emit('banner', 'info', text);
+
     const line = '═'.repeat(text.length + 4);
-    console.error('\n' + Style.magenta(line));
-    console.error(Style.magenta('║ ') + Style.bold(Style.white(text)) + Style.magenta(' ║'));
-    console.error(Style.magenta(line) + '\n');
+    this.print('');
+    this.print(Style.magenta(line));
+    this.print(Style.magenta('║ ') + Style.bold(Style.white(text)) + Style.magenta(' ║'));
+    this.print(Style.magenta(line));
+    this.print('');
     this.writeToFile(`\n${line}\n║ ${text} ║\n${line}\n\n`);
   }
 
   section(text) {
-    console.error('\n' + Style.blue('─'.repeat(60)));
-    console.error(Style.blue('► ') + Style.bold(text));
-    console.error(Style.blue('─'.repeat(60)));
+    this.currentSection = text;
+    if (!this.enabled('info')) return;
+    if (Logger.format === 'json') return this.emit('section', 'info', text);
+
+    this.print('');
+    this.print(Style.blue('─'.repeat(60)));
+    this.print(Style.blue('► ') + Style.bold(text));
+    this.print(Style.blue('─'.repeat(60)));
     this.writeToFile(`\n${'─'.repeat(60)}\n► ${text}\n${'─'.repeat(60)}\n`);
   }
 
   table(data, title) {
-    if (title) console.error('\n' + Style.bold(title));
+    if (!this.enabled('info')) return;
+    if (Logger.format === 'json') return this.emit('table', 'info', title || '', { data });
+
+    if (title) {
+      this.print('');
+      this.print(Style.bold(title));
+    }
     const maxKeyLen = Math.max(...Object.keys(data).map(k => k.length));
     Object.entries(data).forEach(([key, value]) => {
       const paddedKey = key.padEnd(maxKeyLen);
       const displayValue = typeof value === 'object' ? JSON.stringify(value) : value;
-      console.error(`  ${Style.gray(paddedKey)} : ${Style.cyan(displayValue)}`);
+      this.print(`  ${Style.gray(paddedKey)} : ${Style.cyan(displayValue)}`);
     });
   }
+
+  /** An indented list line (no level icon); a structured "item" event in JSON mode. */
+  item(text, fields = {}) {
+    if (!this.enabled('info')) return;
+    if (Logger.format === 'json') return this.emit('item', 'info', text, fields);
+    this.print(text);
+  }
 }
 
-const logger = new Logger('./logs');
+// Output settings shared by every Logger; set from --log-format/--log-level once parsed
+Logger.format = 'text';
+Logger.level = 'info';
+
+const LOG_DIR = './logs';
+
+// Process-wide logger for batch-level output; experiments create their own
+const logger = new Logger(LOG_DIR);
 
 // ═══════════════════════════════════════════════════════════════════════════════
 // SECTION 2: CONFIGURATION & ARGUMENT PARSING
 // ═══════════════════════════════════════════════════════════════════════════════
 
+// ─── Project config ─────────────────────────────────────────────────────────────
+// .bulcdrc.json (found in the working directory or any parent, or named with
+// --config=FILE) supplies defaults for the everyday paths. Relative paths are
+// resolved against the file's own directory; command-line flags win over it.
+
+const PROJECT_CONFIG_FILE = '.bulcdrc.json';
+const PROJECT_CONFIG_PATHS = ['caller', 'modules', 'keyPath', 'logDir', 'runsDir'];
+const PROJECT_CONFIG_KEYS = [...PROJECT_CONFIG_PATHS, 'project'];
+
+function findProjectConfig(startDir) {
+  for (let dir = path.resolve(startDir); ; dir = path.dirname(dir)) {
+    const candidate = path.join(dir, PROJECT_CONFIG_FILE);
+    if (fs.existsSync(candidate)) return candidate;
+    if (path.dirname(dir) === dir) return null;
+  }
+}
+
+function loadProjectConfig(args) {
+  const explicit = args.find(a => a.startsWith('--config='));
+  const file = explicit ? path.resolve(explicit.slice('--config='.length)) : findProjectConfig(process.cwd());
+  if (!file) return { file: null, values: {} };
+
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    console.error(Style.error(`Cannot read project config ${file}: ${e.message}`));
+    process.exit(1);
+  }
+  if (raw === null || typeof raw !== 'object' || Array.isArray(raw)) {
+    console.error(Style.error(`Project config ${file} must contain a JSON object`));
+    process.exit(1);
+  }
+
+  const values = {};
+  for (const [key, value] of Object.entries(raw)) {
+    if (!PROJECT_CONFIG_KEYS.includes(key)) {
+      const hint = suggestKey(key, PROJECT_CONFIG_KEYS);
+      console.error(Style.warning(`Ignoring unknown key "${key}" in ${file}${hint ? ` (did you mean "${hint}"?)` : ''}`));
+    } else if (typeof value !== 'string' || value === '') {
+      console.error(Style.warning(`Ignoring "${key}" in ${file}: expected a non-empty string`));
+    } else {
+      values[key] = PROJECT_CONFIG_PATHS.includes(key) ? path.resolve(path.dirname(file), value) : value;
+    }
+  }
+  return { file, values };
+}
+
 const HELP_TEXT = `
 ${Style.bold(Style.magenta('BULC-D Headless Lab Runner v11.0'))}
 
 ${Style.bold('Usage:')}
+  bulcd-run <command> [arguments] [options]
   node runner11.js <caller.js> <modules_dir> <sidecar.json> [options]
 
+${Style.bold('Commands:')}
+  ${Style.cyan('run <sidecar.json>')}          Run one experiment (a sweep sidecar runs as a batch)
+  ${Style.cyan('batch <experiments/>')}        Run every sidecar in a directory
+  ${Style.cyan('validate <sidecar|dir>')}      Validate without executing (same as --dry-run)
+  ${Style.cyan('diff <a.json> <b.json>')}      Compare two sidecars (or caller, modules and sidecar for defaults)
+  ${Style.cyan('status [name|dir ...]')}       Latest recorded run per experiment, or a batch's state
+  ${Style.cyan('setup [setup options]')}       Clone and refresh the GEE modules (setup-gee-repos.js)
+  ${Style.cyan('scan')}                        Scan the modules for dependencies without cloning
+
+  run, batch and validate also accept the full <caller.js> <modules_dir> <sidecar.json>
+  triple; with only a sidecar, the caller and modules come from --caller/--modules
+  or ${PROJECT_CONFIG_FILE}. Without a command the triple form runs as before.
+
 ${Style.bold('Arguments:')}
   ${Style.cyan('caller.js')}      Path to the GEE Caller script to execute
   ${Style.cyan('modules_dir')}    Path to local GEE modules directory
   ${Style.cyan('sidecar.json')}   Path to experiment parameters JSON file
 
+${Style.bold('Project options')} ${Style.dim(`(override ${PROJECT_CONFIG_FILE})`)}:
+  ${Style.yellow('--caller=FILE')}       Caller script
+  ${Style.yellow('--modules=DIR')}       Local GEE modules directory
+  ${Style.yellow('--key=FILE')}          Service account key (default: $GEE_KEY_PATH or ./service-account-key.json)
+  ${Style.yellow('--project=ID')}        Google Cloud project used for Earth Engine requests
+  ${Style.yellow('--log-dir=DIR')}       Where log files and reports are written (default: ./logs)
+  ${Style.yellow('--config=FILE')}       Project config to use instead of the nearest ${PROJECT_CONFIG_FILE}
+
 ${Style.bold('Options:')}
-  ${Style.yellow('--dry-run')}      Validate without executing (no GEE calls)
-  ${Style.yellow('--verbose')}      Enable verbose output
-  ${Style.yellow('--quiet')}        Suppress GEE print() output (recommended)
-  ${Style.yellow('--silent')}       Suppress all non-error output
-  ${Style.yellow('--no-log')}       Disable file logging
-  ${Style.yellow('--batch')}        Enable batch mode (sidecar.json is a directory)
-  ${Style.yellow('--parallel=N')}   Run N experiments in parallel (batch mode)
-  ${Style.yellow('--help')}         Show this help message
+  ${Style.yellow('--dry-run')}           Validate without executing (no GEE calls)
+  ${Style.yellow('--offline')}           Execute caller and modules against a local ee stand-in (no GEE calls)
+  ${Style.yellow('--verbose')}           Enable verbose output
+  ${Style.yellow('--quiet')}             Suppress GEE print() output (recommended)
+  ${Style.yellow('--evaluate-prints')}   Evaluate ee objects passed to print() and save their values
+  ${Style.yellow('--print-timeout=S')}   Seconds allowed per printed value (default: 60)
+  ${Style.yellow('--print-max-bytes=N')} Largest printed value kept in full (default: 1048576)
+  ${Style.yellow('--layer-previews=M')}  Preview Map.addLayer() image layers as PNG thumbnails or Drive exports (M: thumbnails|exports)
+  ${Style.yellow('--render-charts=F')}   Evaluate ui.Chart data and write each chart as F: html or vega-lite
+  ${Style.yellow('--silent')}            Suppress all non-error output
+  ${Style.yellow('--no-log')}            Disable file logging
+  ${Style.yellow('--log-format=F')}      Console and log file format: text (default) or json (NDJSON events)
+  ${Style.yellow('--log-level=L')}       Minimum level shown: info (default), warning or error
+  ${Style.yellow('--batch')}             Enable batch mode (sidecar.json is a directory)
+  ${Style.yellow('--set KEY=VALUE')}     Override a sidecar value by dotted path (repeatable)
+  ${Style.yellow('--validate-format=F')} Validation output: text (default) or json (printed to stdout)
+  ${Style.yellow('--parallel=N')}        Run up to N experiments concurrently (batch mode)
+  ${Style.yellow('--resume')}            Skip experiments that finished in a previous run of the batch
+  ${Style.yellow('--force')}             Ignore the recorded batch state and run every experiment
+  ${Style.yellow('--runs-dir=DIR')}      Where run manifests are written (default: ./runs)
+  ${Style.yellow('--wait')}              Poll submitted export tasks until they finish
+  ${Style.yellow('--wait-timeout=M')}    Give up waiting after M minutes (default: 720)
+  ${Style.yellow('--poll-interval=S')}   Seconds between task status polls (default: 30)
+  ${Style.yellow('--script-timeout=S')}  Stop script code (or one callback) that runs longer than S seconds (default: 600)
+  ${Style.yellow('--async-timeout=S')}   Wait up to S seconds for the script's callbacks and timers (default: 300)
+  ${Style.yellow('--max-attempts=N')}    Attempts for authentication, initialization and task submission (default: 5)
+  ${Style.yellow('--retry-delay=S')}     First retry delay in seconds, doubled per attempt with jitter (default: 2)
+  ${Style.yellow('--retry-max-delay=S')} Longest delay between retries (default: 60)
+  ${Style.yellow('--refresh')}           status: query Earth Engine for tasks not yet finished
+  ${Style.yellow('--help')}              Show this help message
 
 ${Style.bold('Examples:')}
+  ${Style.dim(`# With caller and modules set in ${PROJECT_CONFIG_FILE}`)}
+  bulcd-run run experiments/test.json
+  bulcd-run validate experiments/
+  bulcd-run batch experiments/ --parallel=4 --wait
+  bulcd-run status experiments/ --refresh
+
   ${Style.dim('# Single experiment')}
   node runner11.js scripts_to_run/BULCD-Caller.js gee_modules experiments/test.json
 
   ${Style.dim('# Dry run (validation only)')}
   node runner11.js scripts_to_run/BULCD-Caller.js gee_modules experiments/test.json --dry-run
 
+  ${Style.dim('# Offline run (executes the caller, reports the exports it would create)')}
+  node runner11.js scripts_to_run/BULCD-Caller.js gee_modules experiments/test.json --offline
+
   ${Style.dim('# Batch execution')}
   node runner11.js scripts_to_run/BULCD-Caller.js gee_modules experiments/ --batch
 
+  ${Style.dim('# Single experiment, wait for the export to finish')}
+  node runner11.js scripts_to_run/BULCD-Caller.js gee_modules experiments/test.json --wait
+
+  ${Style.dim('# Override sidecar values from the command line')}
+  node runner11.js scripts_to_run/BULCD-Caller.js gee_modules experiments/test.json \\
+    --set analysisParameters.changeThreshold=0.6 --set 'inputParameters.binCuts=[-2,0,2]'
+
+  ${Style.dim('# Parameter sweep (sidecar with a "sweep" block runs as a batch of variants)')}
+  node runner11.js scripts_to_run/BULCD-Caller.js gee_modules experiments/sweep.json
+
+  ${Style.dim('# Large study area split into tiles, then mosaicked (sidecar with a "tiling" block)')}
+  node runner11.js scripts_to_run/BULCD-Caller.js gee_modules experiments/tiled.json
+
+  ${Style.dim('# Batch execution, four experiments at a time')}
+  node runner11.js scripts_to_run/BULCD-Caller.js gee_modules experiments/ --batch --parallel=4
+
+  ${Style.dim('# Continue an interrupted batch (finished experiments are skipped)')}
+  node runner11.js scripts_to_run/BULCD-Caller.js gee_modules experiments/ --batch --resume
+
+  ${Style.dim('# What differs between two sidecars, or from the caller\'s own defaults')}
+  node runner11.js diff experiments/a.json experiments/b.json
+  node runner11.js diff scripts_to_run/BULCD-Caller.js gee_modules experiments/test.json
+
+${Style.bold('Project config')} ${Style.dim(`(${PROJECT_CONFIG_FILE}, searched from the working directory upwards)`)}:
+  { "caller": "scripts_to_run/BULCD-Caller-Current.js", "modules": "gee_modules",
+    "keyPath": "service-account-key.json", "logDir": "logs", "runsDir": "runs", "project": "my-project" }
+  Paths are relative to the config file. Command-line flags take precedence.
+
 ${Style.bold('Environment:')}
-  ${Style.cyan('GEE_KEY_PATH')}   Path to service account key (default: ./service-account-key.json)
+  ${Style.cyan('GEE_KEY_PATH')}   Path to service account key (default: "keyPath" from ${PROJECT_CONFIG_FILE}, else ./service-account-key.json)
 `;
 
-function parseArgs() {
+// Keys that would reach Object.prototype instead of a sidecar value
+const UNSAFE_KEYS = ['__proto__', 'constructor', 'prototype'];
+
+const unsafeSegment = (dottedPath) => dottedPath.split('.').find(key => UNSAFE_KEYS.includes(key));
+
+/**
+ * Parses a `--set path.to.key=value` override. The value is read as JSON when
+ * possible (numbers, booleans, arrays, objects, null) and as a plain string otherwise.
+ */
+function parseOverride(expr) {
+  const eq = (expr || '').indexOf('=');
+  if (eq <= 0) {
+    console.error(Style.error(`Invalid --set override "${expr || ''}" (expected path.to.key=value)`));
+    process.exit(1);
+  }
+
+  const unsafe = unsafeSegment(expr.slice(0, eq));
+  if (unsafe) {
+    console.error(Style.error(`Invalid --set override "${expr}" ("${unsafe}" is not allowed in a key path)`));
+    process.exit(1);
+  }
+
+  const raw = expr.slice(eq + 1);
+  let value;
+  try {
+    value = JSON.parse(raw);
+  } catch (e) {
+    value = raw;
+  }
+  return { path: expr.slice(0, eq), value };
+}
+
+const RUN_COMMANDS = ['run', 'batch', 'validate'];
+const COMMANDS = [...RUN_COMMANDS, 'diff', 'setup', 'scan', 'status'];
+
+function parseArgs(defaults = {}) {
   const args = process.argv.slice(2);
   const config = {
-    userScript: null,
-    moduleRoot: null,
+    userScript: defaults.caller || null,
+    moduleRoot: defaults.modules || null,
     sidecarJson: null,
+    keyPath: process.env.GEE_KEY_PATH || defaults.keyPath || './service-account-key.json',
+    logDir: defaults.logDir || LOG_DIR,
+    project: defaults.project || null,
+    refresh: false,
     dryRun: false,
+    offline: false,
     verbose: false,
     silent: false,
     noLog: false,
     batch: false,
     parallel: 1,
+    wait: false,
+    waitTimeout: 720,
+    pollInterval: 30,
+    scriptTimeout: 600,
+    asyncTimeout: 300,
+    maxAttempts: 5,
+    retryDelay: 2,
+    retryMaxDelay: 60,
+    resume: false,
+    force: false,
+    evaluatePrints: false,
+    printTimeout: 60,
+    printMaxBytes: 1048576,
+    layerPreviews: null,
+    renderCharts: null,
+    overrides: [],
+    validateFormat: 'text',
+    logFormat: 'text',
+    logLevel: null,
+    runsDir: defaults.runsDir || './runs',
+    command: 'run',
+    commandArgs: [],
     help: false
   };
 
   const positional = [];
 
-  for (const arg of args) {
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
     if (arg === '--help' || arg === '-h') config.help = true;
     else if (arg === '--dry-run') config.dryRun = true;
+    else if (arg === '--offline') config.offline = true;
     else if (arg === '--verbose' || arg === '-v') config.verbose = true;
     else if (arg === '--quiet' || arg === '-q') config.quiet = true;
     else if (arg === '--silent' || arg === '-s') config.silent = true;
     else if (arg === '--no-log') config.noLog = true;
     else if (arg === '--batch') config.batch = true;
+    else if (arg === '--resume') config.resume = true;
+    else if (arg === '--force') config.force = true;
+    else if (arg === '--evaluate-prints') config.evaluatePrints = true;
+    else if (arg.startsWith('--print-timeout=')) config.printTimeout = parseFloat(arg.split('=')[1]) || 60;
+    else if (arg.startsWith('--print-max-bytes=')) config.printMaxBytes = parseInt(arg.split('=')[1], 10) || 1048576;
+    else if (arg.startsWith('--layer-previews=')) config.layerPreviews = arg.split('=')[1];
+    else if (arg.startsWith('--render-charts=')) config.renderCharts = arg.split('=')[1];
     else if (arg.startsWith('--parallel=')) config.parallel = parseInt(arg.split('=')[1], 10) || 1;
+    else if (arg === '--wait') config.wait = true;
+    else if (arg.startsWith('--wait-timeout=')) config.waitTimeout = parseFloat(arg.split('=')[1]) || 720;
+    else if (arg.startsWith('--poll-interval=')) config.pollInterval = parseFloat(arg.split('=')[1]) || 30;
+    else if (arg.startsWith('--script-timeout=')) config.scriptTimeout = parseFloat(arg.split('=')[1]) || 600;
+    else if (arg.startsWith('--async-timeout=')) config.asyncTimeout = parseFloat(arg.split('=')[1]) || 300;
+    else if (arg.startsWith('--max-attempts=')) config.maxAttempts = Math.max(1, parseInt(arg.split('=')[1], 10) || 5);
+    else if (arg.startsWith('--retry-delay=')) config.retryDelay = parseFloat(arg.split('=')[1]) || 2;
+    else if (arg.startsWith('--retry-max-delay=')) config.retryMaxDelay = parseFloat(arg.split('=')[1]) || 60;
+    else if (arg === '--set') config.overrides.push(parseOverride(args[++i]));
+    else if (arg.startsWith('--validate-format=')) config.validateFormat = arg.split('=')[1];
+    else if (arg.startsWith('--log-format=')) config.logFormat = arg.split('=')[1];
+    else if (arg.startsWith('--log-level=')) config.logLevel = arg.split('=')[1];
+    else if (arg.startsWith('--runs-dir=')) config.runsDir = arg.slice('--runs-dir='.length);
+    else if (arg.startsWith('--caller=')) config.userScript = arg.slice('--caller='.length);
+    else if (arg.startsWith('--modules=')) config.moduleRoot = arg.slice('--modules='.length);
+    else if (arg.startsWith('--key=')) config.keyPath = arg.slice('--key='.length);
+    else if (arg.startsWith('--log-dir=')) config.logDir = arg.slice('--log-dir='.length);
+    else if (arg.startsWith('--project=')) config.project = arg.slice('--project='.length);
+    else if (arg.startsWith('--config=')) continue; // read by loadProjectConfig
+    else if (arg === '--refresh') config.refresh = true;
     else positional.push(arg);
   }
 
-  if (positional.length >= 1) config.userScript = positional[0];
-  if (positional.length >= 2) config.moduleRoot = positional[1];
-  if (positional.length >= 3) config.sidecarJson = positional[2];
+  // Without a known subcommand the arguments are the classic caller/modules/sidecar triple
+  if (COMMANDS.includes(positional[0])) config.command = positional.shift();
+
+  // diff, setup, scan and status take their own arguments
+  if (!RUN_COMMANDS.includes(config.command)) {
+    config.commandArgs = positional;
+    return config;
+  }
+
+  // run/batch/validate take a sidecar (caller and modules from flags or the
+  // project config), or the full caller/modules/sidecar triple
+  if (positional.length === 1) {
+    config.sidecarJson = positional[0];
+  } else if (positional.length === 2) {
+    console.error(Style.error(`Expected <sidecar.json> or <caller.js> <modules_dir> <sidecar.json>, got: ${positional.join(' ')}`));
+    process.exit(1);
+  } else if (positional.length >= 3) {
+    [config.userScript, config.moduleRoot, config.sidecarJson] = positional;
+  }
+
+  if (config.command === 'batch') config.batch = true;
+  if (config.command === 'validate') {
+    config.dryRun = true;
+    config.batch = config.batch || Boolean(config.sidecarJson && fs.existsSync(config.sidecarJson) &&
+      fs.statSync(config.sidecarJson).isDirectory());
+  }
 
   return config;
 }
 
-const config = parseArgs();
+const projectConfig = loadProjectConfig(process.argv.slice(2));
+const config = parseArgs(projectConfig.values);
+logger.logDir = config.logDir;
 
-if (config.help) {
+// setup and scan forward --help to the setup script
+if (config.help && !['setup', 'scan'].includes(config.command)) {
   console.error(HELP_TEXT);
   process.exit(0);
 }
 
-if (!config.userScript || !config.moduleRoot || !config.sidecarJson) {
-  console.error(Style.error('Missing required arguments.\n'));
+if (!['text', 'json'].includes(config.validateFormat)) {
+  console.error(Style.error(`Unknown --validate-format "${config.validateFormat}" (expected text or json)`));
+  process.exit(1);
+}
+
+if (!['text', 'json'].includes(config.logFormat)) {
+  console.error(Style.error(`Unknown --log-format "${config.logFormat}" (expected text or json)`));
+  process.exit(1);
+}
+
+// --silent keeps errors only, unless a level is given explicitly
+config.logLevel = config.logLevel || (config.silent ? 'error' : 'info');
+if (!['info', 'warning', 'error'].includes(config.logLevel)) {
+  console.error(Style.error(`Unknown --log-level "${config.logLevel}" (expected info, warning or error)`));
+  process.exit(1);
+}
+
+if (config.layerPreviews !== null && !['thumbnails', 'exports'].includes(config.layerPreviews)) {
+  console.error(Style.error(`Unknown --layer-previews "${config.layerPreviews}" (expected thumbnails or exports)`));
+  process.exit(1);
+}
+
+if (config.renderCharts !== null && !['html', 'vega-lite'].includes(config.renderCharts)) {
+  console.error(Style.error(`Unknown --render-charts "${config.renderCharts}" (expected html or vega-lite)`));
+  process.exit(1);
+}
+
+Logger.format = config.logFormat;
+Logger.level = config.logLevel;
+
+if (config.command === 'diff' && ![2, 3].includes(config.commandArgs.length)) {
+  console.error(Style.error('diff expects <a.json> <b.json>, or <caller.js> <modules_dir> <sidecar.json>\n'));
+  console.error(HELP_TEXT);
+  process.exit(1);
+}
+
+if (RUN_COMMANDS.includes(config.command) && (!config.userScript || !config.moduleRoot || !config.sidecarJson)) {
+  const missing = [
+    !config.sidecarJson && 'sidecar',
+    !config.userScript && `caller (--caller= or "caller" in ${PROJECT_CONFIG_FILE})`,
+    !config.moduleRoot && `modules directory (--modules= or "modules" in ${PROJECT_CONFIG_FILE})`
+  ].filter(Boolean);
+  console.error(Style.error(`Missing required arguments: ${missing.join(', ')}\n`));
   console.error(HELP_TEXT);
   process.exit(1);
 }
 
 // ═══════════════════════════════════════════════════════════════════════════════
-// SECTION 3: PARAMETER VALIDATION
+// SECTION 3: SIDECAR LOADING & INHERITANCE
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Reads a value from a nested object using a dotted path such as
+ * "analysisParameters.changeThreshold". Numeric segments index into arrays.
+ */
+function getByPath(obj, dottedPath) {
+  return dottedPath.split('.').reduce((node, key) => (node == null ? undefined : node[key]), obj);
+}
+
+function setByPath(obj, dottedPath, value) {
+  const unsafe = unsafeSegment(dottedPath);
+  if (unsafe) throw new Error(`Cannot set "${dottedPath}": "${unsafe}" is not allowed in a key path`);
+
+  const keys = dottedPath.split('.');
+  const last = keys.pop();
+  let node = obj;
+  for (const key of keys) {
+    if (node[key] === null || typeof node[key] !== 'object') node[key] = {};
+    node = node[key];
+  }
+  node[last] = value;
+}
+
+const isPlainObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+/**
+ * Deep-merges `override` onto `base` without mutating either. Objects merge
+ * key by key; arrays and scalars in `override` replace the base value outright
+ * (a child's binCuts or yearsList is never spliced into the parent's).
+ */
+function deepMerge(base, override) {
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(override)) {
+    if (UNSAFE_KEYS.includes(key)) throw new Error(`"${key}" is not allowed as a sidecar key`);
+    merged[key] = isPlainObject(value) && isPlainObject(base[key])
+      ? deepMerge(base[key], value)
+      : value;
+  }
+  return merged;
+}
+
+/**
+ * Loads a sidecar and resolves its `extends` chain. `extends` is a path to a
+ * base sidecar, relative to the file that declares it; bases may extend
+ * further bases. Throws on unreadable files, invalid JSON and cycles.
+ */
+function loadSidecar(sidecarPath, chain = []) {
+  const absPath = path.resolve(sidecarPath);
+
+  if (chain.includes(absPath)) {
+    const cycle = [...chain, absPath].map(p => path.basename(p)).join(' → ');
+    throw new Error(`Circular "extends" chain: ${cycle}`);
+  }
+
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(absPath, 'utf8'));
+  } catch (e) {
+    throw new Error(`${path.basename(absPath)}: ${e.message}`);
+  }
+
+  // A GeoJSON study area file is relative to the sidecar that names it
+  const ip = data.inputParameters;
+  if (isPlainObject(ip) && typeof ip.defaultStudyAreaGeoJSON === 'string' && !ip.defaultStudyAreaGeoJSON.trim().startsWith('{')) {
+    ip.defaultStudyAreaGeoJSON = path.resolve(path.dirname(absPath), ip.defaultStudyAreaGeoJSON);
+  }
+
+  if (!data.extends) return data;
+
+  const { extends: basePath, ...own } = data;
+  const base = loadSidecar(path.resolve(path.dirname(absPath), basePath), [...chain, absPath]);
+  return deepMerge(base, own);
+}
+
+/**
+ * Fully resolves a sidecar as it will run: inheritance first, then the
+ * command-line --set overrides in the order they were given.
+ */
+function resolveSidecar(sidecarPath) {
+  const data = loadSidecar(sidecarPath);
+  for (const { path: keyPath, value } of config.overrides) {
+    setByPath(data, keyPath, value);
+  }
+  return data;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// SECTION 4: PARAMETER VALIDATION
 // ═══════════════════════════════════════════════════════════════════════════════
 
 const REQUIRED_KEYS = {
@@ -253,114 +752,972 @@ const REQUIRED_KEYS = {
 
 const MODALITY_KEYS = ['bimodal', 'constant', 'linear', 'trimodal', 'unimodal'];
 
-function validateSidecar(data, filePath) {
-  const errors = [];
-  const warnings = [];
+const SENSOR_KEYS = ['L5', 'L7', 'L8', 'L9', 'MO', 'S2', 'S1', 'AL', 'NI', 'DW'];
 
-  // Check top-level structure
-  for (const section of ['inputParameters', 'analysisParameters', 'advancedParameters']) {
-    if (!data[section]) {
-      errors.push(`Missing required section: ${section}`);
-      continue;
-    }
+const SWEEP_MODES = ['cartesian', 'zip'];
+
+const MOSAIC_MODES = ['image', 'collection', 'none'];
+
+const EXPORT_OVERRIDE_POLICIES = ['sidecar-wins', 'caller-wins'];
+
+const PYRAMIDING_POLICIES = ['mean', 'sample', 'min', 'max', 'mode', 'median'];
+
+const IMAGE_FILE_FORMATS = ['GeoTIFF', 'TFRecord'];
+const TABLE_FILE_FORMATS = ['CSV', 'GeoJSON', 'KML', 'KMZ', 'SHP', 'TFRecord'];
+const EXPORT_FILE_FORMATS = [...new Set([...IMAGE_FILE_FORMATS, ...TABLE_FILE_FORMATS])];
+
+const ON_EXISTS_POLICIES = ['fail', 'skip', 'overwrite', 'suffix'];
+
+const EXPORT_TEMPLATE_KEYS = ['experiment', 'targetYear', 'timestamp', 'hash', 'index'];
+
+// ─── Schema ─────────────────────────────────────────────────────────────────────
+// Every node has a `type` (or a list of accepted types); objects list their `properties` and `required` keys
+// and reject unknown keys unless `open` is set. Numbers take `min`/`max`
+// (and `integer`), strings take `enum`/`pattern`, arrays take `items`,
+// `minItems`, `maxItems` and `ascending`. `severity: 'warning'` downgrades range problems
+// for values that are unusual rather than wrong.
 
-    // Check required keys in each section
-    for (const key of REQUIRED_KEYS[section]) {
-      if (data[section][key] === undefined) {
-        errors.push(`Missing key in ${section}: ${key}`);
+const DOY = { type: 'number', integer: true, min: 1, max: 366 };
+const YEAR = { type: 'number', integer: true, min: 1972, max: 2100 };
+const PROBABILITY = { type: 'number', min: 0, max: 1 };
+
+const SENSOR_DICTIONARY_SCHEMA = {
+  type: 'object',
+  properties: {
+    yearsList:           { type: 'array', items: YEAR, minItems: 1 },
+    firstDOY:            DOY,
+    lastDOY:             DOY,
+    CloudCoverThreshold: { type: 'number', min: 0, max: 100 },
+    SARValueToTrack:     { type: 'string', enum: ['VV', 'VH', 'HH', 'HV'] },
+    isRadar:             { type: 'boolean' },
+    s2cloudless:         { type: 'object', open: true }
+  },
+  required: ['yearsList', 'firstDOY', 'lastDOY']
+};
+
+const COLLECTION_PARAMETERS_SCHEMA = {
+  type: 'object',
+  properties: {
+    whichReduction:     { type: 'string' },
+    bandName_reduction: { type: 'string' },
+    dayStepSize:        { type: 'number', integer: true, min: 1, max: 366 },
+    verbose:            { type: 'boolean' },
+    datasetSelection: {
+      type: 'object',
+      properties: Object.fromEntries(SENSOR_KEYS.map(k => [k, { type: 'boolean' }]))
+    },
+    ...Object.fromEntries(SENSOR_KEYS.map(k => [`${k}dictionary`, SENSOR_DICTIONARY_SCHEMA]))
+  },
+  required: ['datasetSelection']
+};
+
+// Bands the caller can add to its export image, in the order it adds them.
+// `source` names the caller variables each band is built from; for
+// `conditional` bands the caller silently skips the band when a source is unset.
+const EXPORT_BAND_CATALOG = {
+  finalBULCProbs:          { bands: ['prob_decrease', 'prob_unchanged', 'prob_increase'], source: ['bulcD.finalBULCprobs'] },
+  probabilityDecrease:     { bands: ['probability_decrease'],  source: ['bulcD.finalBULCprobs'] },
+  probabilityUnchanged:    { bands: ['probability_unchanged'], source: ['bulcD.finalBULCprobs'] },
+  probabilityIncrease:     { bands: ['probability_increase'],  source: ['bulcD.finalBULCprobs'] },
+  expectationSummaryValue: { bands: ['expectation_summary'],   source: ['bulcD_input.expectationPeriodSummaryValue'] },
+  expectationStdDev:       { bands: ['expectation_stddev'],    source: ['bulcD_input.expectationPeriodSD'] },
+  expectationR2:           { bands: ['expectation_r2'],        source: ['bulcD_input.theExpectationR2'], conditional: true },
+  expectationResiduals:    { bands: ['expectation_residuals'], source: ['bulcD_input.theExpectationResiduals'], conditional: true },
+  targetSummaryValue:      { bands: ['target_summary'],        source: ['bulcD_input.targetPeriodSummaryValue'] },
+  dropProbability:         { bands: ['drop_probability'],      source: ['bulcD_output.drop'], conditional: true },
+  gainProbability:         { bands: ['gain_probability'],      source: ['bulcD_output.up'], conditional: true },
+  largeDropOrange:         { bands: ['large_drop_orange'],     source: ['bulcD_output.largeDropOrange'], conditional: true },
+  threeColorChange:        { bands: ['three_color_change'],
+                             source: ['bulcD_output.drop', 'bulcD_output.largeDropOrange', 'bulcD_output.up'], conditional: true },
+  wasItEver:               { bands: ['was_it_ever'],           source: ['bulcD_output.wasItEver'], conditional: true },
+  howOftenWasIt:           { bands: ['how_often_was_it'],      source: ['bulcD_output.howOftenWasIt'], conditional: true },
+  orangeChangeDOY:         { bands: ['orange_change_doy'],     source: ['bulcD_output.timing.orangeDateDOY'], conditional: true },
+  pinkChangeDOY:           { bands: ['pink_change_doy'],       source: ['bulcD_output.timing.pinkDateDOY'], conditional: true },
+  orangeStepDating:        { bands: ['orange_step_dating'],    source: ['bulcD_output.timing.orangeStepDating'], conditional: true },
+  pinkStepDating:          { bands: ['pink_step_dating'],      source: ['bulcD_output.timing.pinkStepDating'], conditional: true }
+};
+
+const EXPORT_BANDS = Object.keys(EXPORT_BAND_CATALOG);
+
+const SIDECAR_SCHEMA = {
+  type: 'object',
+  properties: {
+    extends: { type: 'string' },
+    validation: {
+      type: 'object',
+      properties: {
+        suppress: { type: 'array', items: { type: 'string' } },
+        maxStudyAreaKm2: { type: 'number', min: 0, exclusiveMin: true }
+      }
+    },
+    sweep: {
+      type: 'object',
+      properties: {
+        mode:       { type: 'string', enum: SWEEP_MODES },
+        parameters: { type: 'object', open: true }
+      },
+      required: ['parameters']
+    },
+    tiling: {
+      type: 'object',
+      properties: {
+        tileSize:      { type: 'number', min: 0, exclusiveMin: true },
+        overlap:       { type: 'number', min: 0 },
+        mosaic:        { type: 'string', enum: MOSAIC_MODES },
+        mosaicAssetId: { type: 'string', pattern: /^(projects\/[^/]+\/assets|users\/[^/]+)\/.+/, patternHint: 'projects/<project>/assets/<name>' }
+      },
+      required: ['tileSize']
+    },
+    inputParameters: {
+      type: 'object',
+      properties: {
+        theTargetYear:      YEAR,
+        whichReduction:     { type: 'string' },
+        bandName_reduction: { type: 'string' },
+        bandNameToFit:      { type: 'string' },
+        plottingMeans:      { type: 'boolean' },
+        harmonicConstant:   { type: 'boolean' },
+        binCuts:            { type: 'array', items: { type: 'number' }, minItems: 2, ascending: true },
+        modalityDictionary: {
+          type: 'object',
+          properties: Object.fromEntries(MODALITY_KEYS.map(k => [k, { type: 'boolean' }]))
+        },
+        verbose:            { type: 'boolean' },
+        centeringZoom:      { type: 'number', integer: true, min: 0, max: 24 },
+        trgfDOY:            DOY,
+        defaultStudyAreaCoordinates: { type: 'array', minItems: 1 },
+        defaultStudyAreaGeoJSON:     { type: ['object', 'string'], open: true },
+        defaultStudyAreaBBox:        { type: 'array', items: { type: 'number' }, minItems: 4, maxItems: 4 },
+        defaultStudyAreaWKT:         { type: 'string' },
+        defaultStudyAreaAsset:       { type: 'string' },
+        defaultStudyAreaAssetFilter: { type: 'object', open: true },
+        defaultStudyAreaGeodesic:    { type: 'boolean' },
+        sensitivityDictionary: {
+          type: 'object',
+          properties: {
+            ZScoreNumeratorFactor:   { type: 'number', min: 0 },
+            ZScoreDenominatorFactor: { type: 'number', min: 0 }
+          }
+        },
+        expectationCollectionParameters: COLLECTION_PARAMETERS_SCHEMA,
+        targetCollectionParameters:      COLLECTION_PARAMETERS_SCHEMA,
+        // Older sidecars kept the sensor dictionaries at this level
+        ...Object.fromEntries(SENSOR_KEYS.map(k => [`${k}dictionary`, SENSOR_DICTIONARY_SCHEMA]))
+      },
+      required: REQUIRED_KEYS.inputParameters
+    },
+    analysisParameters: {
+      type: 'object',
+      properties: {
+        expPeriodMeanThreshold:      { type: 'number' },
+        targetPeriodMeanThreshold:   { type: 'number' },
+        maxExportPixels:             { type: 'number', min: 1 },
+        changeThreshold:             { ...PROBABILITY, severity: 'warning' },
+        changeProbability:           PROBABILITY,
+        dropThresholdToDenoteChange: PROBABILITY,
+        gainThresholdToDenoteChange: PROBABILITY,
+        wasItEverType:               { type: 'string', enum: ['down', 'up'] },
+        wasItEverComparison:         { type: 'string', enum: ['gt', 'gte', 'lt', 'lte', 'eq', 'neq'] },
+        wasItEverValue:              PROBABILITY,
+        timingThreshhold:            PROBABILITY
+      },
+      required: REQUIRED_KEYS.analysisParameters
+    },
+    advancedParameters: {
+      type: 'object',
+      properties: {
+        RecordIterationNumberAtEachTimeStep: { type: 'boolean' },
+        RecordEventsAtEachTimeStep:          { type: 'boolean' },
+        RecordProbabilitiesAtEachTimeStep:   { type: 'boolean' },
+        RecordConditionalsAtEachTimeStep:    { type: 'boolean' },
+        RecordBULCLayersAtEachTimeStep:      { type: 'boolean' },
+        RecordConfidenceAtEachTimeStep:      { type: 'boolean' },
+        RecordFinalClass:                    { type: 'boolean' },
+        initializationApproach:              { type: 'string' },
+        transitionCreationMethod:            { type: 'string' }
+      },
+      required: REQUIRED_KEYS.advancedParameters
+    },
+    exportParameters: {
+      type: 'object',
+      properties: {
+        enabled:           { type: 'boolean' },
+        assetId:           { type: 'string', pattern: /^(projects\/[^/]+\/assets|users\/[^/]+)\/.+/, patternHint: 'projects/<project>/assets/<name>' },
+        description:       { type: 'string', pattern: /^([A-Za-z0-9.,:;_-]|\{[A-Za-z]+\})+$/, patternHint: 'letters, digits, .,:;_- or {placeholders}' },
+        scale:             { type: 'number', min: 0, exclusiveMin: true },
+        maxPixels:         { type: 'number', min: 1 },
+        crs:               { type: 'string', pattern: /^(EPSG|ESRI|SR-ORG):\d+$/, patternHint: 'EPSG:<code>' },
+        crsTransform:      { type: 'array', items: { type: 'number' }, minItems: 6, maxItems: 6 },
+        regionCoordinates: { type: 'array', minItems: 1 },
+        pyramidingPolicy:  { type: 'string', enum: PYRAMIDING_POLICIES },
+        fileFormat:        { type: 'string', enum: EXPORT_FILE_FORMATS },
+        overridePolicy:    { type: 'string', enum: EXPORT_OVERRIDE_POLICIES },
+        onExists:          { type: 'string', enum: ON_EXISTS_POLICIES },
+        includeBands: {
+          type: 'object',
+          properties: Object.fromEntries(EXPORT_BANDS.map(k => [k, {
+            type: 'object',
+            properties: { enabled: { type: 'boolean' }, comment: { type: 'string' } },
+            required: ['enabled']
+          }]))
+        }
       }
     }
-  }
+  },
+  required: ['inputParameters', 'analysisParameters', 'advancedParameters']
+};
 
-  // Validate inputParameters specifics
-  if (data.inputParameters) {
-    const ip = data.inputParameters;
+// ─── Schema walker ──────────────────────────────────────────────────────────────
+
+function levenshtein(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    let prev = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const tmp = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, prev + (a[i - 1] === b[j - 1] ? 0 : 1));
+      prev = tmp;
+    }
+  }
+  return row[b.length];
+}
 
-    // Validate binCuts
-    if (ip.binCuts && !Array.isArray(ip.binCuts)) {
-      errors.push('inputParameters.binCuts must be an array');
+/** Closest known key to a misspelled one, or null when nothing is plausibly close. */
+function suggestKey(key, candidates) {
+  let best = null;
+  let bestDistance = Infinity;
+  for (const candidate of candidates) {
+    const distance = levenshtein(key.toLowerCase(), candidate.toLowerCase());
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
     }
+  }
+  return bestDistance <= Math.max(2, Math.floor(key.length / 4)) ? best : null;
+}
+
+const typeOf = (v) => (Array.isArray(v) ? 'array' : v === null ? 'null' : typeof v);
 
-    // Validate modalityDictionary
-    if (ip.modalityDictionary) {
-      for (const key of MODALITY_KEYS) {
-        if (ip.modalityDictionary[key] === undefined) {
-          warnings.push(`modalityDictionary missing key: ${key}`);
+/**
+ * Checks `value` against `schema`, appending { severity, code, path, message,
+ * suggestion? } issues. Unknown keys that look like a typo of a known key are
+ * errors; keys with no close match are only warnings, since caller modules may
+ * read parameters this schema does not know about.
+ */
+function checkSchema(value, schema, keyPath, issues) {
+  const add = (severity, code, message, extra = {}) =>
+    issues.push({ severity, code, path: keyPath, message: `${keyPath}: ${message}`, ...extra });
+
+  const types = [].concat(schema.type);
+  if (!types.includes(typeOf(value))) {
+    add('error', 'TYPE_MISMATCH', `expected ${types.join(' or ')}, got ${typeOf(value)}`);
+    return;
+  }
+
+  switch (typeOf(value)) {
+    case 'object': {
+      for (const key of schema.required || []) {
+        if (value[key] === undefined) {
+          issues.push({ severity: 'error', code: 'MISSING_KEY', path: keyPath ? `${keyPath}.${key}` : key,
+            message: keyPath ? `Missing key in ${keyPath}: ${key}` : `Missing required section: ${key}` });
+        }
+      }
+      if (schema.open) break;
+
+      const known = Object.keys(schema.properties || {});
+      for (const [key, child] of Object.entries(value)) {
+        const childPath = keyPath ? `${keyPath}.${key}` : key;
+        if (schema.properties[key]) {
+          checkSchema(child, schema.properties[key], childPath, issues);
+          continue;
         }
+        const suggestion = suggestKey(key, known);
+        issues.push({
+          severity: suggestion ? 'error' : 'warning',
+          code: 'UNKNOWN_KEY',
+          path: childPath,
+          message: `${childPath}: unknown key${suggestion ? ` (did you mean "${suggestion}"?)` : ''}`,
+          ...(suggestion && { suggestion })
+        });
       }
+      break;
+    }
 
-      // At least one modality should be true
-      const hasModality = MODALITY_KEYS.some(k => ip.modalityDictionary[k] === true);
-      if (!hasModality) {
-        warnings.push('No modality is set to true in modalityDictionary');
+    case 'number': {
+      const severity = schema.severity || 'error';
+      if (schema.integer && !Number.isInteger(value)) {
+        add('error', 'NOT_INTEGER', `expected an integer, got ${value}`);
+      }
+      const belowMin = schema.min !== undefined && (schema.exclusiveMin ? value <= schema.min : value < schema.min);
+      const aboveMax = schema.max !== undefined && value > schema.max;
+      if (belowMin || aboveMax) {
+        const range = `[${schema.min !== undefined ? schema.min : '-∞'}, ${schema.max !== undefined ? schema.max : '∞'}]`;
+        add(severity, 'OUT_OF_RANGE', `${value} is outside ${severity === 'warning' ? 'typical ' : ''}range ${range}`);
       }
+      break;
     }
 
-    // Validate sensor dictionaries
-    const sensors = ['L5dictionary', 'L7dictionary', 'L8dictionary', 'S2dictionary', 'S1dictionary'];
-    for (const sensor of sensors) {
-      if (ip[sensor]) {
-        if (!ip[sensor].yearsList || !Array.isArray(ip[sensor].yearsList)) {
-          warnings.push(`${sensor}.yearsList should be an array`);
+    case 'string':
+      if (schema.enum && !schema.enum.includes(value)) {
+        const suggestion = suggestKey(value, schema.enum);
+        add('error', 'INVALID_ENUM', `"${value}" is not one of: ${schema.enum.join(', ')}${suggestion ? ` (did you mean "${suggestion}"?)` : ''}`,
+          suggestion ? { suggestion } : {});
+      }
+      if (schema.pattern && !schema.pattern.test(value)) {
+        add('error', 'INVALID_FORMAT', `"${value}" does not match the expected format (${schema.patternHint})`);
+      }
+      break;
+
+    case 'array':
+      if (schema.minItems && value.length < schema.minItems) {
+        add('error', 'TOO_FEW_ITEMS', `expected at least ${schema.minItems} item(s), got ${value.length}`);
+      }
+      if (schema.maxItems && value.length > schema.maxItems) {
+        add('error', 'TOO_MANY_ITEMS', `expected at most ${schema.maxItems} item(s), got ${value.length}`);
+      }
+      if (schema.items) {
+        value.forEach((item, i) => checkSchema(item, schema.items, `${keyPath}.${i}`, issues));
+      }
+      if (schema.ascending && value.some((v, i) => i > 0 && !(v > value[i - 1]))) {
+        add('error', 'NOT_ASCENDING', `values must be strictly ascending (${JSON.stringify(value)})`);
+      }
+      break;
+  }
+}
+
+// ─── Cross-field rules ──────────────────────────────────────────────────────────
+// Checks between parameters that are each valid on their own but contradict one
+// another. Each rule gets inputParameters (and the whole sidecar as a third
+// argument) and reports through report(path, message) with its own id and
+// severity; a sidecar silences rules it knows are fine with
+//   "validation": { "suppress": ["expectation-target-overlap"] }
+
+const COLLECTION_KEYS = ['expectationCollectionParameters', 'targetCollectionParameters'];
+
+/** Sensors switched on in a collection's datasetSelection (e.g. ['L8', 'S2']). */
+function enabledSensors(collection) {
+  const selection = collection && isPlainObject(collection.datasetSelection) ? collection.datasetSelection : {};
+  return Object.keys(selection).filter(k => selection[k] === true);
+}
+
+/** Union of the yearsList values of every enabled sensor in a collection. */
+function enabledYears(collection) {
+  const years = new Set();
+  for (const sensor of enabledSensors(collection)) {
+    const dict = collection[`${sensor}dictionary`];
+    if (dict && Array.isArray(dict.yearsList)) dict.yearsList.forEach(y => years.add(y));
+  }
+  return years;
+}
+
+const SEMANTIC_RULES = [
+  {
+    id: 'no-enabled-sensor',
+    severity: 'error',
+    description: 'Each collection must enable at least one sensor in datasetSelection',
+    check(ip, report) {
+      for (const cp of COLLECTION_KEYS) {
+        if (isPlainObject(ip[cp]) && enabledSensors(ip[cp]).length === 0) {
+          report(`inputParameters.${cp}.datasetSelection`, `${cp} does not enable any sensor`);
         }
-        if (ip[sensor].firstDOY === undefined) {
-          warnings.push(`${sensor}.firstDOY not specified`);
+      }
+    }
+  },
+  {
+    id: 'enabled-sensor-dictionary',
+    severity: 'error',
+    description: 'Every sensor enabled in datasetSelection needs its <sensor>dictionary',
+    check(ip, report) {
+      for (const cp of COLLECTION_KEYS) {
+        if (!isPlainObject(ip[cp])) continue;
+        for (const sensor of enabledSensors(ip[cp])) {
+          if (!isPlainObject(ip[cp][`${sensor}dictionary`])) {
+            report(`inputParameters.${cp}.datasetSelection.${sensor}`,
+              `${cp} enables ${sensor} but has no ${sensor}dictionary`);
+          }
         }
-        if (ip[sensor].lastDOY === undefined) {
-          warnings.push(`${sensor}.lastDOY not specified`);
+      }
+    }
+  },
+  {
+    id: 'target-year-in-years-list',
+    severity: 'error',
+    description: 'theTargetYear must be in the yearsList of an enabled target sensor',
+    check(ip, report) {
+      const target = ip.targetCollectionParameters;
+      if (ip.theTargetYear === undefined || !isPlainObject(target)) return;
+      const years = enabledYears(target);
+      if (years.size > 0 && !years.has(ip.theTargetYear)) {
+        report('inputParameters.theTargetYear',
+          `theTargetYear ${ip.theTargetYear} is not in any enabled target sensor's yearsList (${[...years].sort().join(', ')})`);
+      }
+    }
+  },
+  {
+    id: 'expectation-target-overlap',
+    severity: 'warning',
+    description: 'Expectation and target periods should not share years',
+    check(ip, report) {
+      if (!isPlainObject(ip.expectationCollectionParameters) || !isPlainObject(ip.targetCollectionParameters)) return;
+      const target = enabledYears(ip.targetCollectionParameters);
+      const shared = [...enabledYears(ip.expectationCollectionParameters)].filter(y => target.has(y)).sort();
+      if (shared.length > 0) {
+        report('inputParameters.expectationCollectionParameters',
+          `Expectation and target periods both include ${shared.join(', ')}`);
+      }
+    }
+  },
+  {
+    id: 'reduction-consistency',
+    severity: 'warning',
+    description: 'whichReduction and bandName_reduction should match between the top level and each collection',
+    check(ip, report) {
+      for (const cp of COLLECTION_KEYS) {
+        if (!isPlainObject(ip[cp])) continue;
+        for (const key of ['whichReduction', 'bandName_reduction']) {
+          if (ip[cp][key] !== undefined && ip[key] !== undefined && ip[cp][key] !== ip[key]) {
+            report(`inputParameters.${cp}.${key}`,
+              `${cp}.${key} is "${ip[cp][key]}" but inputParameters.${key} is "${ip[key]}"`);
+          }
         }
       }
     }
+  },
+  {
+    id: 'study-area',
+    severity: 'error',
+    description: 'The study area is given in one form only, and that form describes polygons',
+    check(ip, report) {
+      const forms = studyAreaForms(ip);
+      if (forms.length > 1) {
+        report(`inputParameters.${forms[1]}`, `Study area given more than once (${forms.join(', ')})`);
+        return;
+      }
+      if (ip.defaultStudyAreaAssetFilter !== undefined && forms[0] !== 'defaultStudyAreaAsset') {
+        report('inputParameters.defaultStudyAreaAssetFilter', 'defaultStudyAreaAssetFilter only applies to defaultStudyAreaAsset');
+      }
+      try {
+        studyAreaGeoJSON(ip);
+      } catch (e) {
+        report(`inputParameters.${forms[0]}`, e.message);
+      }
+    }
+  },
+  {
+    id: 'study-area-geometry',
+    severity: 'error',
+    description: 'Study area coordinates are in range and its rings are simple (no self-intersections)',
+    check(ip, report) {
+      const geojson = localStudyArea(ip);
+      if (!geojson) return;
+      studyAreaGeometryErrors(geojson).forEach(message => report(`inputParameters.${studyAreaForms(ip)[0]}`, message));
+    }
+  },
+  {
+    id: 'study-area-shape',
+    severity: 'warning',
+    description: 'Study area rings are closed and wound as GeoJSON expects, and both edge interpretations agree',
+    check(ip, report) {
+      const geojson = localStudyArea(ip);
+      if (!geojson || studyAreaGeometryErrors(geojson).length > 0) return;
+      const geodesic = ip.defaultStudyAreaGeodesic !== undefined ? ip.defaultStudyAreaGeodesic : false;
+      studyAreaShapeWarnings(geojson, geodesic).forEach(message => report(`inputParameters.${studyAreaForms(ip)[0]}`, message));
+    }
+  },
+  {
+    id: 'study-area-size',
+    severity: 'warning',
+    description: 'Study area is no larger than validation.maxStudyAreaKm2 (100,000 km² by default)',
+    check(ip, report, data) {
+      const geojson = localStudyArea(ip);
+      if (!geojson || studyAreaGeometryErrors(geojson).length > 0) return;
+      const limit = (isPlainObject(data.validation) && data.validation.maxStudyAreaKm2) || DEFAULT_MAX_STUDY_AREA_KM2;
+      const { areaKm2 } = measureStudyArea(geojson, ip.defaultStudyAreaGeodesic !== undefined ? ip.defaultStudyAreaGeodesic : false);
+      if (areaKm2 > limit) {
+        report(`inputParameters.${studyAreaForms(ip)[0]}`,
+          `Study area is ${formatArea(areaKm2)}, above the ${formatArea(limit)} limit (validation.maxStudyAreaKm2)`);
+      }
+    }
+  },
+  {
+    id: 'tiling',
+    severity: 'error',
+    description: 'A tiling block can split the study area and has a target for its mosaic',
+    check(ip, report, data) {
+      if (!isPlainObject(data.tiling) || typeof data.tiling.tileSize !== 'number') return;
+      try {
+        studyAreaGeoJSON(ip);
+      } catch (e) {
+        return;  // reported by the study-area rule
+      }
+      try {
+        expandTiles('tiling', data, { ...DEFAULT_TILING, ...data.tiling });
+      } catch (e) {
+        report('tiling', e.message);
+      }
+    }
+  },
+  {
+    id: 'export-scale-and-transform',
+    severity: 'warning',
+    description: 'exportParameters should set either scale or crsTransform, not both',
+    check(ip, report, data) {
+      const ep = data.exportParameters;
+      if (isPlainObject(ep) && ep.scale !== undefined && ep.crsTransform !== undefined) {
+        report('exportParameters.crsTransform',
+          'exportParameters sets both scale and crsTransform; crsTransform is applied and scale is ignored');
+      }
+    }
   }
+];
 
-  // Validate analysisParameters ranges
-  if (data.analysisParameters) {
-    const ap = data.analysisParameters;
+/** The study area as GeoJSON when it is given in a single, readable local form; null otherwise. */
+function localStudyArea(ip) {
+  if (studyAreaForms(ip).length !== 1) return null;
+  try {
+    return studyAreaGeoJSON(ip);
+  } catch (e) {
+    return null;  // reported by the study-area rule
+  }
+}
 
-    if (ap.changeThreshold !== undefined && (ap.changeThreshold < 0 || ap.changeThreshold > 1)) {
-      warnings.push(`changeThreshold (${ap.changeThreshold}) is outside typical range [0, 1]`);
-    }
+/** Runs every cross-field rule not suppressed by the sidecar's validation block. */
+function checkSemanticRules(data, issues) {
+  const ip = data.inputParameters;
+  const suppressed = (isPlainObject(data.validation) && Array.isArray(data.validation.suppress))
+    ? data.validation.suppress
+    : [];
+  const ruleIds = SEMANTIC_RULES.map(r => r.id);
+
+  suppressed.filter(id => !ruleIds.includes(id)).forEach(id => {
+    const suggestion = suggestKey(id, ruleIds);
+    issues.push({
+      severity: 'warning',
+      code: 'UNKNOWN_RULE',
+      path: 'validation.suppress',
+      message: `validation.suppress: unknown rule "${id}"${suggestion ? ` (did you mean "${suggestion}"?)` : ''}`,
+      ...(suggestion && { suggestion })
+    });
+  });
 
-    if (ap.dropThresholdToDenoteChange !== undefined &&
-        ap.gainThresholdToDenoteChange !== undefined &&
-        ap.dropThresholdToDenoteChange < ap.gainThresholdToDenoteChange) {
-      warnings.push('dropThreshold < gainThreshold - this may produce unexpected results');
-    }
+  if (!isPlainObject(ip)) return;
+
+  for (const rule of SEMANTIC_RULES) {
+    if (suppressed.includes(rule.id)) continue;
+    rule.check(ip, (keyPath, message) => issues.push({
+      severity: rule.severity,
+      code: 'RULE_VIOLATION',
+      rule: rule.id,
+      path: keyPath,
+      message: `${message} [${rule.id}]`
+    }), data);
   }
+}
+
+// ─── Export name templates ──────────────────────────────────────────────────────
+// exportParameters.assetId and description may contain placeholders, e.g.
+//   "projects/p/assets/bulcd/{experiment}_{targetYear}_{hash}"
+// which the Export shim expands per experiment so batch runs never share a target.
 
-  return { errors, warnings, isValid: errors.length === 0 };
+const TEMPLATE_PLACEHOLDER = /\{([A-Za-z]+)\}/g;
+
+/** Compact UTC timestamp usable in asset IDs (e.g. 20240131T120000). */
+function runTimestamp(date = new Date()) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d+Z$/, '');
 }
 
-// ═══════════════════════════════════════════════════════════════════════════════
-// SECTION 4: MODULE RESOLVER
-// ═══════════════════════════════════════════════════════════════════════════════
+/** SHA-256 of a string or buffer, hex encoded. */
+function contentHash(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
 
-const moduleCache = new Map();
+/** Content hash of a resolved sidecar, stable across runs of the same parameters. */
+function sidecarHash(sidecarData) {
+  return contentHash(JSON.stringify(sidecarData));
+}
 
-// Shared shims for print, Map, and ui - used by both main sandbox and modules
-function createSharedShims() {
-  // print shim - silent no-op (can be overridden in main sandbox for verbose mode)
-  const print = (...args) => {
-    // No-op by default in modules, main sandbox overrides for logging
+/** Placeholder values for one experiment; `index` is its 0-based position in the batch. */
+function templateValues(experimentName, sidecarData, index, timestamp) {
+  return {
+    experiment: experimentName.replace(/[^A-Za-z0-9_-]/g, '_'),
+    targetYear: sidecarData.inputParameters ? sidecarData.inputParameters.theTargetYear : undefined,
+    timestamp,
+    hash: sidecarHash(sidecarData).slice(0, 8),
+    index: String(index + 1).padStart(3, '0')
   };
+}
 
-  // Comprehensive Map shim
-  const Map = {
-    addLayer: () => {},
-    remove: () => {},
-    layers: () => ({
-      get: () => null, set: () => {}, length: () => 0, reset: () => {},
-      forEach: () => {}, map: () => [], insert: () => {}, remove: () => {}
-    }),
-    centerObject: (obj, zoom, onComplete) => { if (onComplete) onComplete(); },
-    setCenter: () => {},
-    setZoom: () => {},
-    getZoom: () => 10,
-    getCenter: () => ({ lon: () => 0, lat: () => 0 }),
-    getBounds: (asGeoJSON) => asGeoJSON
-      ? { type: 'Polygon', coordinates: [[[-180,-90],[-180,90],[180,90],[180,-90],[-180,-90]]] }
-      : ee.Geometry.Rectangle([-180, -90, 180, 90]),
-    getScale: () => 1000,
+/** Expands {placeholders}; unknown or unset ones are left as they are for validation to report. */
+function expandTemplate(text, values) {
+  if (typeof text !== 'string') return text;
+  return text.replace(TEMPLATE_PLACEHOLDER, (match, key) =>
+    (EXPORT_TEMPLATE_KEYS.includes(key) && values[key] != null ? String(values[key]) : match));
+}
+
+/** Copy of an export config (or exportParameters) with assetId and description expanded. */
+function expandExportNames(exportConfig, values) {
+  const expanded = { ...exportConfig };
+  for (const key of ['assetId', 'description']) {
+    if (expanded[key] !== undefined) expanded[key] = expandTemplate(expanded[key], values);
+  }
+  return expanded;
+}
+
+/**
+ * Checks the placeholders in exportParameters.assetId/description. With the
+ * experiment's template values it also checks the expanded names, and with
+ * `batchAssets` (expanded asset ID → experiments using it) it reports asset IDs
+ * that another experiment of the same batch exports to.
+ */
+function checkExportTemplates(data, template, batchAssets, issues) {
+  const ep = data.exportParameters;
+  if (!isPlainObject(ep)) return;
+  const add = (code, keyPath, message, extra) => issues.push({ severity: 'error', code, path: keyPath, message, ...extra });
+
+  for (const key of ['assetId', 'description']) {
+    if (typeof ep[key] !== 'string') continue;
+    const keyPath = `exportParameters.${key}`;
+    let usable = true;
+
+    for (const [, name] of ep[key].matchAll(TEMPLATE_PLACEHOLDER)) {
+      if (!EXPORT_TEMPLATE_KEYS.includes(name)) {
+        const suggestion = suggestKey(name, EXPORT_TEMPLATE_KEYS);
+        add('UNKNOWN_PLACEHOLDER', keyPath,
+          `${keyPath}: unknown placeholder {${name}}${suggestion ? ` (did you mean {${suggestion}}?)` : ''}`,
+          suggestion ? { suggestion } : {});
+        usable = false;
+      } else if (template && template[name] == null) {
+        add('UNSET_PLACEHOLDER', keyPath, `${keyPath}: placeholder {${name}} has no value for this experiment`);
+        usable = false;
+      }
+    }
+    if (!template || !usable) continue;
+
+    const expanded = expandTemplate(ep[key], template);
+    if (key === 'description' && !/^[A-Za-z0-9.,:;_-]{1,100}$/.test(expanded)) {
+      add('INVALID_FORMAT', keyPath, `${keyPath}: expands to "${expanded}", which is not up to 100 letters, digits or .,:;_-`);
+    }
+
+    const others = key === 'assetId' && ep.enabled !== false && batchAssets
+      ? (batchAssets.get(expanded) || []).filter(name => name !== template.experiment)
+      : [];
+    if (others.length > 0) {
+      add('ASSET_COLLISION', keyPath, `${keyPath}: "${expanded}" is also exported by ${others.join(', ')} in this batch`);
+    }
+  }
+}
+
+// ─── Sidecar validation ─────────────────────────────────────────────────────────
+
+/**
+ * Validates a resolved sidecar. `options.template` (the experiment's placeholder
+ * values) and `options.batchAssets` enable the checks of checkExportTemplates().
+ */
+function validateSidecar(data, filePath, options = {}) {
+  const issues = [];
+  const warn = (code, keyPath, message) => issues.push({ severity: 'warning', code, path: keyPath, message });
+
+  checkSchema(data, SIDECAR_SCHEMA, '', issues);
+  checkSemanticRules(data, issues);
+  checkExportTemplates(data, options.template, options.batchAssets, issues);
+
+  // Checks the schema cannot express
+  const ip = data.inputParameters;
+  if (ip && ip.modalityDictionary && typeOf(ip.modalityDictionary) === 'object') {
+    for (const key of MODALITY_KEYS) {
+      if (ip.modalityDictionary[key] === undefined) {
+        warn('MODALITY_KEY_MISSING', `inputParameters.modalityDictionary.${key}`, `modalityDictionary missing key: ${key}`);
+      }
+    }
+
+    // At least one modality should be true
+    if (!MODALITY_KEYS.some(k => ip.modalityDictionary[k] === true)) {
+      warn('NO_MODALITY', 'inputParameters.modalityDictionary', 'No modality is set to true in modalityDictionary');
+    }
+  }
+
+  if (ip) {
+    const containers = [['inputParameters', ip]];
+    for (const cp of ['expectationCollectionParameters', 'targetCollectionParameters']) {
+      if (ip[cp]) containers.push([`inputParameters.${cp}`, ip[cp]]);
+    }
+    for (const [prefix, container] of containers) {
+      for (const sensor of SENSOR_KEYS) {
+        const dict = container[`${sensor}dictionary`];
+        if (dict && Number.isInteger(dict.firstDOY) && Number.isInteger(dict.lastDOY) && dict.firstDOY > dict.lastDOY) {
+          warn('DOY_ORDER', `${prefix}.${sensor}dictionary`,
+            `${prefix}.${sensor}dictionary: firstDOY (${dict.firstDOY}) is after lastDOY (${dict.lastDOY})`);
+        }
+      }
+    }
+  }
+
+  const ap = data.analysisParameters;
+  if (ap && ap.dropThresholdToDenoteChange !== undefined &&
+      ap.gainThresholdToDenoteChange !== undefined &&
+      ap.dropThresholdToDenoteChange < ap.gainThresholdToDenoteChange) {
+    warn('THRESHOLD_ORDER', 'analysisParameters', 'dropThreshold < gainThreshold - this may produce unexpected results');
+  }
+
+  const errors = issues.filter(i => i.severity === 'error').map(i => i.message);
+  const warnings = issues.filter(i => i.severity === 'warning').map(i => i.message);
+
+  return { errors, warnings, issues, isValid: errors.length === 0 };
+}
+
+// Validation results collected for --validate-format=json, printed on exit
+const validationReports = [];
+
+function recordValidationReport(experimentName, sidecarPath, issues) {
+  validationReports.push({
+    experiment: experimentName,
+    sidecar: sidecarPath,
+    valid: !issues.some(i => i.severity === 'error'),
+    errors: issues.filter(i => i.severity === 'error').length,
+    warnings: issues.filter(i => i.severity === 'warning').length,
+    issues
+  });
+}
+
+function printValidationReports() {
+  if (config.validateFormat !== 'json') return;
+  const report = {
+    valid: validationReports.every(r => r.valid),
+    experiments: validationReports
+  };
+  process.stdout.write(JSON.stringify(report, null, 2) + '\n');
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// SECTION 5: MODULE RESOLVER
+// ═══════════════════════════════════════════════════════════════════════════════
+
+// ─── Asynchronous work ──────────────────────────────────────────────────────────
+// Callbacks the caller and its modules hand to evaluate()/getInfo(), timers and
+// Map.centerObject() are tracked per experiment so the runner can wait for them
+// before reporting. `activeTracker` is the experiment whose script code is
+// running right now; tracked callbacks restore it while they run.
+
+let activeTracker = null;
+
+// vm timeouts only cover code entered through vm, so tracked callbacks go through
+// this trampoline; --script-timeout then stops a callback that never returns.
+const callbackContext = vm.createContext({ __callback: null });
+const CALLBACK_TRAMPOLINE = new vm.Script('__callback()', { filename: 'script callback' });
+
+function runWithScriptTimeout(fn) {
+  const previous = callbackContext.__callback;
+  callbackContext.__callback = fn;
+  try {
+    return CALLBACK_TRAMPOLINE.runInContext(callbackContext, { timeout: config.scriptTimeout * 1000 });
+  } finally {
+    callbackContext.__callback = previous;
+  }
+}
+
+function createAsyncTracker() {
+  const pending = new Map();  // operation id -> description
+  const timers = new Map();   // operation id (the sandbox's timer handle) -> Node timer
+  const errors = [];
+  let nextId = 1;
+  let closed = null;
+  let onIdle = null;
+
+  const begin = (description) => {
+    const id = nextId++;
+    pending.set(id, description);
+    return id;
+  };
+
+  const end = (id) => {
+    pending.delete(id);
+    timers.delete(id);
+    if (pending.size === 0 && onIdle) onIdle();
+  };
+
+  // Runs `fn` as this experiment's callback; `keep` leaves repeating operations (intervals) open
+  const bind = (fn, id, keep = false) => function (...args) {
+    const description = pending.get(id) || 'callback';
+    if (closed) {
+      closed.logger.warning(`Ignoring ${description}: it completed after the experiment was reported`);
+      return undefined;
+    }
+    const previous = activeTracker;
+    activeTracker = tracker;
+    try {
+      return runWithScriptTimeout(() => fn.apply(this, args));
+    } catch (error) {
+      if (error.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT') {
+        errors.push({ description, error: `still running after ${config.scriptTimeout}s and was stopped (--script-timeout)` });
+        if (keep) clearTimer(id);
+      } else {
+        errors.push({ description, error });
+      }
+      return undefined;
+    } finally {
+      activeTracker = previous;
+      if (!keep) end(id);
+    }
+  };
+
+  const startTimer = (kind, fn, ms, args) => {
+    if (typeof fn !== 'function') throw new TypeError(`${kind}() expects a function`);
+    const id = begin(`${kind}(${ms || 0} ms)`);
+    const schedule = kind === 'setInterval' ? setInterval : setTimeout;
+    timers.set(id, schedule(bind(fn, id, kind === 'setInterval'), ms, ...args));
+    return id;
+  };
+
+  const clearTimer = (id) => {
+    if (!timers.has(id)) return;
+    clearTimeout(timers.get(id));
+    end(id);
+  };
+
+  const tracker = {
+    pending,
+    errors,
+    begin,
+    bind,
+
+    /** Runs synchronous script code attributed to this experiment. */
+    run(fn) {
+      const previous = activeTracker;
+      activeTracker = tracker;
+      try {
+        return fn();
+      } finally {
+        activeTracker = previous;
+      }
+    },
+
+    /** Calls `fn` asynchronously, as the Code Editor does for onComplete handlers. */
+    defer(description, fn) {
+      setImmediate(bind(fn, begin(description)));
+    },
+
+    /** Resolves true once nothing is pending, or false after `timeoutMs`. */
+    whenIdle(timeoutMs) {
+      if (pending.size === 0) return Promise.resolve(true);
+      return new Promise(resolve => {
+        const timer = setTimeout(() => { onIdle = null; resolve(false); }, timeoutMs);
+        onIdle = () => { clearTimeout(timer); onIdle = null; resolve(true); };
+      });
+    },
+
+    /** Stops all timers; later callbacks are ignored. Returns what was still pending. */
+    close(logger) {
+      if (!closed) {
+        closed = { logger };
+        timers.forEach(timer => clearTimeout(timer));
+      }
+      return [...pending.values()];
+    },
+
+    timers: {
+      setTimeout: (fn, ms, ...args) => startTimer('setTimeout', fn, ms, args),
+      setInterval: (fn, ms, ...args) => startTimer('setInterval', fn, ms, args),
+      clearTimeout: clearTimer,
+      clearInterval: clearTimer
+    }
+  };
+  return tracker;
+}
+
+/**
+ * Routes the callback forms of evaluate() and getInfo() on the real ee client
+ * through the tracker of the experiment that made the call. Installed once;
+ * calls made outside any script (the runner's own evaluations) are untouched.
+ */
+function trackEECallbacks(eeApi) {
+  for (const Ctor of Object.values(eeApi)) {
+    const proto = typeof Ctor === 'function' ? Ctor.prototype : null;
+    if (!proto) continue;
+
+    for (const method of ['evaluate', 'getInfo']) {
+      if (!Object.prototype.hasOwnProperty.call(proto, method) || proto[method].__tracksAsync) continue;
+      const original = proto[method];
+      const tracked = function (callback, ...rest) {
+        const tracker = activeTracker;
+        // Subclass overrides call up to ComputedObject; the callback is only wrapped once
+        if (typeof callback !== 'function' || !tracker || callback.__tracked) {
+          return original.call(this, callback, ...rest);
+        }
+        const kind = typeof this.name === 'function' ? this.name() : 'ComputedObject';
+        const bound = tracker.bind(callback, tracker.begin(`${method}() callback on ee.${kind}`));
+        bound.__tracked = true;
+        return original.call(this, bound, ...rest);
+      };
+      tracked.__tracksAsync = true;
+      proto[method] = tracked;
+    }
+  }
+}
+
+// Shared shims for print, Map, ui and timers - used by both main sandbox and modules.
+// `eeApi` is the real ee client, or the offline stand-in under --offline.
+function createSharedShims(eeApi = ee) {
+  const asyncWork = createAsyncTracker();
+  if (eeApi === ee) trackEECallbacks(ee);
+
+  // print shim - silent no-op (can be overridden in main sandbox for verbose mode)
+  const print = (...args) => {
+    // No-op by default in modules, main sandbox overrides for logging
+  };
+
+  // Layers and view the scripts set up, for the layer manifest (nothing is drawn headless)
+  const mapState = { layers: [], center: null };
+
+  // Records a layer; the returned ui.Map.Layer stand-in keeps the record up to date
+  const addLayer = (eeObject, visParams, name, shown, opacity) => {
+    const layer = {
+      index: mapState.layers.length + 1,
+      name: name || `Layer ${mapState.layers.length + 1}`,
+      visParams: visParams || {},
+      shown: shown === undefined ? true : Boolean(shown),
+      opacity: opacity === undefined ? 1 : opacity,
+      object: eeObject
+    };
+    mapState.layers.push(layer);
+
+    const handle = {
+      setShown: (value) => { layer.shown = Boolean(value); return handle; },
+      setOpacity: (value) => { layer.opacity = value; return handle; },
+      setVisParams: (value) => { layer.visParams = value || {}; return handle; },
+      setName: (value) => { layer.name = value; return handle; },
+      setEeObject: (value) => { layer.object = value; return handle; },
+      getShown: () => layer.shown,
+      getOpacity: () => layer.opacity,
+      getVisParams: () => layer.visParams,
+      getName: () => layer.name,
+      getEeObject: () => layer.object
+    };
+    return handle;
+  };
+
+  // Comprehensive Map shim
+  const Map = {
+    addLayer,
+    remove: () => {},
+    layers: () => ({
+      get: () => null, set: () => {}, length: () => mapState.layers.length, reset: () => {},
+      forEach: () => {}, map: () => [], insert: () => {}, remove: () => {}
+    }),
+    centerObject: (obj, zoom, onComplete) => {
+      mapState.center = { object: obj, zoom: zoom === undefined ? null : zoom };
+      if (typeof onComplete === 'function') asyncWork.defer('Map.centerObject() onComplete', onComplete);
+    },
+    setCenter: (lon, lat, zoom) => {
+      mapState.center = { lon, lat, zoom: zoom === undefined ? null : zoom };
+    },
+    setZoom: (zoom) => { mapState.center = { ...mapState.center, zoom }; },
+    getZoom: () => 10,
+    getCenter: () => ({ lon: () => 0, lat: () => 0 }),
+    getBounds: (asGeoJSON) => asGeoJSON
+      ? { type: 'Polygon', coordinates: [[[-180,-90],[-180,90],[180,90],[180,-90],[-180,-90]]] }
+      : eeApi.Geometry.Rectangle([-180, -90, 180, 90]),
+    getScale: () => 1000,
     setOptions: () => {},
     setControlVisibility: () => {},
     style: () => ({ set: () => ({}), get: () => ({}) }),
@@ -377,7 +1734,7 @@ function createSharedShims() {
       draw: () => {}, edit: () => {}, stop: () => {}, clear: () => {}, get: () => null, set: () => {},
       getShown: () => false, onDraw: () => {}, onEdit: () => {}, onErase: () => {}, onSelect: () => {},
       layers: () => ({ get: () => [], set: () => {}, reset: () => {}, length: () => 0 }),
-      toFeatureCollection: () => ee.FeatureCollection([])
+      toFeatureCollection: () => eeApi.FeatureCollection([])
     }),
     widgets: () => ({ get: () => null, set: () => {}, add: () => {}, remove: () => {}, reset: () => {}, length: () => 0 }),
     add: () => {},
@@ -385,24 +1742,60 @@ function createSharedShims() {
     clear: () => {}
   };
 
+  // ui.Chart calls, for the chart manifest; `args` keeps the raw arguments for --render-charts
+  const charts = [];
+
+  // Chart factories take positional arguments or a single object of named arguments
+  const isNamedArguments = (value, names) => Boolean(value) && !isEEObject(value) &&
+    value.constructor && value.constructor.name === 'Object' && Object.keys(value).every(k => names.includes(k));
+
+  const recordChart = (type) => (...args) => {
+    const names = CHART_ARGUMENTS[type];
+    const named = args.length === 1 && isNamedArguments(args[0], names) ? { ...args[0] }
+      : Object.fromEntries(names.map((name, i) => [name, args[i]]).filter(([, value]) => value !== undefined));
+    const chart = { index: charts.length + 1, type, args: named, options: {}, chartType: null, seriesNames: null, calls: [] };
+    charts.push(chart);
+
+    // Every chart method returns the chart, so calls chain as in the Code Editor
+    const handle = {};
+    const record = (method, apply) => (...callArgs) => {
+      chart.calls.push({ method, args: callArgs });
+      if (apply) apply(...callArgs);
+      return handle;
+    };
+    Object.assign(handle, {
+      setOptions: record('setOptions', (options) => Object.assign(chart.options, options)),
+      setChartType: record('setChartType', (chartType) => { chart.chartType = chartType; }),
+      setSeriesNames: record('setSeriesNames', (names) => { chart.seriesNames = names; }),
+      setDataTable: record('setDataTable'),
+      setDownloadable: record('setDownloadable'),
+      onClick: record('onClick'),
+      getOptions: () => chart.options,
+      getChartType: () => chart.chartType,
+      getSeriesNames: () => chart.seriesNames,
+      style: () => ({ set: () => ({}), get: () => ({}) })
+    });
+    return handle;
+  };
+
   // UI shims
   const ui = {
     Chart: {
       image: {
-        series: () => ({ setOptions: () => ({ setChartType: () => {} }) }),
-        byRegion: () => ({ setOptions: () => ({}) }),
-        doySeries: () => ({ setOptions: () => ({}) }),
-        doySeriesByYear: () => ({ setOptions: () => ({}) }),
-        histogram: () => ({ setOptions: () => ({}) })
+        series: recordChart('image.series'),
+        byRegion: recordChart('image.byRegion'),
+        doySeries: recordChart('image.doySeries'),
+        doySeriesByYear: recordChart('image.doySeriesByYear'),
+        histogram: recordChart('image.histogram')
       },
       feature: {
-        byFeature: () => ({ setOptions: () => ({}) }),
-        byProperty: () => ({ setOptions: () => ({}) }),
-        groups: () => ({ setOptions: () => ({}) }),
-        histogram: () => ({ setOptions: () => ({}) })
+        byFeature: recordChart('feature.byFeature'),
+        byProperty: recordChart('feature.byProperty'),
+        groups: recordChart('feature.groups'),
+        histogram: recordChart('feature.histogram')
       },
       array: {
-        values: () => ({ setOptions: () => ({}) })
+        values: recordChart('array.values')
       }
     },
     Label: (text, style) => ({ style: () => ({ set: () => ({}) }), setValue: () => {} }),
@@ -441,13 +1834,24 @@ function createSharedShims() {
     }
   };
 
-  return { print, Map, ui };
+  return { print, Map, ui, ee: eeApi, mapState, charts, asyncWork, timers: asyncWork.timers };
 }
 
-function createModuleResolver(moduleRoot, sharedShims, sidecarData) {
+function createModuleResolver(moduleRoot, sharedShims, sidecarData, logger) {
   const ABS_MOD_ROOT = path.resolve(process.cwd(), moduleRoot);
 
-  return function geeRequire(importPath) {
+  // Each resolver owns its cache so experiments never share module state
+  const moduleCache = new Map();
+
+  // Every module the caller pulled in (loaded or injected), for the run manifest
+  const loadedModules = new Map();
+  const noteInjected = (importPath, injected) => {
+    if (!loadedModules.has(importPath)) {
+      loadedModules.set(importPath, { importPath, path: null, sha256: null, injected, cacheHits: 0 });
+    }
+  };
+
+  function geeRequire(importPath) {
     // Handle native Node.js modules
     if (!importPath.startsWith('users/')) {
       return require(importPath);
@@ -463,6 +1867,7 @@ function createModuleResolver(moduleRoot, sharedShims, sidecarData) {
     // Check for input parameters module
     if (lowerPath.includes('inputparameters') && sidecarData.inputParameters) {
       if (config.verbose) logger.info(`Parameter injection: inputParameters ← JSON sidecar`);
+      noteInjected(importPath, 'inputParameters');
       
       // Merge exportParameters into inputParameters if present
       const injectedParams = { ...sidecarData.inputParameters };
@@ -477,22 +1882,34 @@ function createModuleResolver(moduleRoot, sharedShims, sidecarData) {
     // Check for analysis parameters module
     if (lowerPath.includes('analysisparameters') && sidecarData.analysisParameters) {
       if (config.verbose) logger.info(`Parameter injection: analysisParameters ← JSON sidecar`);
+      noteInjected(importPath, 'analysisParameters');
       return { analysisParameters: sidecarData.analysisParameters };
     }
 
     // Check for export parameters module
     if (lowerPath.includes('exportparameters') && sidecarData.exportParameters) {
       if (config.verbose) logger.info(`Parameter injection: exportParameters ← JSON sidecar`);
+      noteInjected(importPath, 'exportParameters');
       return { exportParameters: sidecarData.exportParameters };
     }
 
-    // Note: We do NOT intercept advancedParameters - it's a complex function
-    // that generates BULC configuration. Let it load from the GEE module file.
-    // Only inputParameters and analysisParameters are overridden from JSON.
+    // advancedParameters is a function that builds the BULC argument dictionary,
+    // so it cannot be replaced by JSON. Load the real module and overlay the
+    // sidecar values onto whatever dictionary it returns.
+    if (lowerPath.includes('advancedparameters') && sidecarData.advancedParameters) {
+      const wrapped = wrapAdvancedParameters(loadModule(importPath), sidecarData.advancedParameters, logger);
+      loadedModules.get(importPath).injected = 'advancedParameters (overlay)';
+      return wrapped;
+    }
+
+    return loadModule(importPath);
+  }
 
+  function loadModule(importPath) {
     // Check cache first
     if (moduleCache.has(importPath)) {
       if (config.verbose) logger.info(`Module cache hit: ${importPath}`);
+      loadedModules.get(importPath).cacheHits++;
       return moduleCache.get(importPath);
     }
 
@@ -522,14 +1939,15 @@ function createModuleResolver(moduleRoot, sharedShims, sidecarData) {
       exports: moduleExports,
       module: { exports: moduleExports },
       require: geeRequire,
-      ee: ee,
+      ee: sharedShims.ee,
       console: console,
       __filename: localPath,
       __dirname: path.dirname(localPath),
-      // Include shared shims so modules can use print, Map, ui
+      // Include shared shims so modules can use print, Map, ui and timers
       print: sharedShims.print,
       Map: sharedShims.Map,
-      ui: sharedShims.ui
+      ui: sharedShims.ui,
+      ...sharedShims.timers
     };
 
     try {
@@ -540,35 +1958,445 @@ function createModuleResolver(moduleRoot, sharedShims, sidecarData) {
       // Cache the result
       const result = moduleSandbox.module.exports || moduleSandbox.exports;
       moduleCache.set(importPath, result);
+      loadedModules.set(importPath, { importPath, path: localPath, sha256: contentHash(code), injected: null, cacheHits: 0 });
 
       return result;
     } catch (err) {
       throw new Error(`Failed to load module ${localPath}: ${err.message}`);
     }
+  }
+
+  geeRequire.__loadedModules = loadedModules;
+  return geeRequire;
+}
+
+/**
+ * True for an object literal (or Object.create(null)) from any vm context.
+ * Modules run in their own context, so their Object.prototype is not ours;
+ * class instances such as ee.Dictionary have a longer prototype chain.
+ */
+const isObjectLiteral = (value) => {
+  if (!isPlainObject(value) || isEEObject(value)) return false;
+  const proto = Object.getPrototypeOf(value);
+  return proto === null || Object.getPrototypeOf(proto) === null;
+};
+
+/**
+ * Wraps the advancedParameters() export of the real GEE module so the
+ * dictionary it returns is overlaid with the sidecar's advancedParameters.
+ * Sidecar keys the module never produces are still applied, but warned about,
+ * since BULC is unlikely to read them.
+ */
+function wrapAdvancedParameters(moduleExports, sidecarAdvanced, logger) {
+  const original = moduleExports.advancedParameters;
+
+  if (typeof original !== 'function') {
+    logger.warning('advancedParameters module does not export an advancedParameters() function - sidecar values not injected');
+    return moduleExports;
+  }
+
+  const advancedParameters = function (...args) {
+    const dictionary = original.apply(this, args);
+
+    if (!isObjectLiteral(dictionary)) {
+      logger.warning('advancedParameters() did not return a plain object - sidecar values not injected');
+      return dictionary;
+    }
+
+    for (const [key, value] of Object.entries(sidecarAdvanced)) {
+      if (!(key in dictionary)) {
+        logger.warning(`advancedParameters.${key} is not produced by the advancedParameters module (applied anyway)`);
+      } else if (config.verbose && dictionary[key] !== value) {
+        logger.info(`Parameter injection: advancedParameters.${key} ${JSON.stringify(dictionary[key])} → ${JSON.stringify(value)}`);
+      }
+      dictionary[key] = value;
+    }
+
+    if (config.verbose) logger.info(`Parameter injection: advancedParameters ← JSON sidecar`);
+    return dictionary;
   };
+
+  return { ...moduleExports, advancedParameters };
 }
 
 // ═══════════════════════════════════════════════════════════════════════════════
-// SECTION 5: GEOMETRY RECONSTRUCTION
+// SECTION 6: GEOMETRY RECONSTRUCTION
 // ═══════════════════════════════════════════════════════════════════════════════
 
+// ─── Study area forms ───────────────────────────────────────────────────────────
+// inputParameters gives the study area as exactly one of:
+//   defaultStudyAreaCoordinates  Polygon coordinates (the original form)
+//   defaultStudyAreaGeoJSON      Polygon, MultiPolygon, Feature or FeatureCollection,
+//                                inline or as a path relative to the sidecar
+//   defaultStudyAreaBBox         [west, south, east, north]
+//   defaultStudyAreaWKT          POLYGON or MULTIPOLYGON text
+//   defaultStudyAreaAsset        table asset ID, optionally narrowed by
+//                                defaultStudyAreaAssetFilter ({ property: value | [values] })
+// All but the asset are converted to GeoJSON locally, so the study area stays a
+// literal geometry that offline runs and reports can describe.
+
+const STUDY_AREA_FORMS = [
+  'defaultStudyAreaCoordinates',
+  'defaultStudyAreaGeoJSON',
+  'defaultStudyAreaBBox',
+  'defaultStudyAreaWKT',
+  'defaultStudyAreaAsset'
+];
+
+/** The study area forms a set of inputParameters uses (more than one is a validation error). */
+function studyAreaForms(ip) {
+  return STUDY_AREA_FORMS.filter(key => ip[key] !== undefined);
+}
+
+const WKT_NUMBER = '[-+]?(?:\\d+\\.?\\d*|\\.\\d+)(?:[eE][-+]?\\d+)?';
+const WKT_POSITION = new RegExp(`(${WKT_NUMBER})\\s+(${WKT_NUMBER})(?:\\s+${WKT_NUMBER}){0,2}`, 'g');
+
+/** GeoJSON geometry of a POLYGON or MULTIPOLYGON WKT string (an EWKT SRID prefix is ignored). */
+function parseWKT(text) {
+  const match = String(text).trim().replace(/^SRID=\d+;/i, '')
+    .match(/^(MULTIPOLYGON|POLYGON)\s*(?:ZM|Z|M)?\s*(\(.*\))$/is);
+  if (!match) throw new Error('WKT study area must be a POLYGON or MULTIPOLYGON');
+
+  // "((1 2, 3 4))" becomes "[[[1,2],[3,4]]]"
+  const json = match[2].replace(WKT_POSITION, '[$1,$2]').replace(/\(/g, '[').replace(/\)/g, ']');
+  let coordinates;
+  try {
+    coordinates = JSON.parse(json);
+  } catch (e) {
+    throw new Error(`Malformed WKT ${match[1]}: ${text.length > 60 ? `${text.slice(0, 60)}...` : text}`);
+  }
+  return { type: match[1].toUpperCase() === 'POLYGON' ? 'Polygon' : 'MultiPolygon', coordinates };
+}
+
+/** Inline GeoJSON (object or JSON text) or the contents of a GeoJSON file. */
+function readGeoJSON(value) {
+  if (typeof value !== 'string') return value;
+  if (value.trim().startsWith('{')) return JSON.parse(value);
+  try {
+    return JSON.parse(fs.readFileSync(value, 'utf8'));
+  } catch (e) {
+    throw new Error(`Cannot read GeoJSON study area ${value}: ${e.message}`);
+  }
+}
+
+function checkPolygonCoordinates(polygon, where) {
+  const isPosition = (p) => Array.isArray(p) && p.length >= 2 && p.slice(0, 2).every(v => typeof v === 'number');
+  const valid = Array.isArray(polygon) && polygon.length > 0 &&
+    polygon.every(ring => Array.isArray(ring) && ring.length >= 4 && ring.every(isPosition));
+  if (!valid) throw new Error(`${where}: expected polygon rings of at least 4 [lon, lat] positions`);
+}
+
+/**
+ * Collects the polygons of a GeoJSON Polygon, MultiPolygon, Feature,
+ * FeatureCollection or GeometryCollection into one Polygon or MultiPolygon.
+ */
+function polygonalGeoJSON(geojson) {
+  const polygons = [];
+  const collect = (g, where) => {
+    if (!isPlainObject(g)) throw new Error(`${where}: not a GeoJSON object`);
+    switch (g.type) {
+      case 'Polygon':
+        checkPolygonCoordinates(g.coordinates, where);
+        polygons.push(g.coordinates);
+        break;
+      case 'MultiPolygon':
+        if (!Array.isArray(g.coordinates)) throw new Error(`${where}: MultiPolygon without coordinates`);
+        g.coordinates.forEach((p, i) => checkPolygonCoordinates(p, `${where} polygon ${i + 1}`));
+        polygons.push(...g.coordinates);
+        break;
+      case 'Feature':
+        collect(g.geometry, where);
+        break;
+      case 'FeatureCollection':
+        (g.features || []).forEach((f, i) => collect(f, `feature ${i + 1}`));
+        break;
+      case 'GeometryCollection':
+        (g.geometries || []).forEach((child, i) => collect(child, `${where} geometry ${i + 1}`));
+        break;
+      default:
+        throw new Error(`${where}: ${g.type || 'untyped'} geometry cannot be a study area (expected polygons)`);
+    }
+  };
+
+  collect(geojson, 'GeoJSON study area');
+  if (polygons.length === 0) throw new Error('GeoJSON study area contains no polygons');
+  return polygons.length === 1
+    ? { type: 'Polygon', coordinates: polygons[0] }
+    : { type: 'MultiPolygon', coordinates: polygons };
+}
+
+/**
+ * The study area of `ip` as GeoJSON, or null when it has none or it is a
+ * table asset (only known server-side). Throws on malformed input.
+ */
+function studyAreaGeoJSON(ip) {
+  const [form] = studyAreaForms(ip);
+  switch (form) {
+    case 'defaultStudyAreaCoordinates': {
+      const c = ip.defaultStudyAreaCoordinates;
+      // A bare ring is accepted, as ee.Geometry.Polygon does
+      return { type: 'Polygon', coordinates: Array.isArray(c[0]) && typeof c[0][0] === 'number' ? [c] : c };
+    }
+    case 'defaultStudyAreaGeoJSON':
+      return polygonalGeoJSON(readGeoJSON(ip.defaultStudyAreaGeoJSON));
+    case 'defaultStudyAreaBBox': {
+      const [w, s, e, n] = ip.defaultStudyAreaBBox;
+      if (!(w < e && s < n)) throw new Error(`defaultStudyAreaBBox [${ip.defaultStudyAreaBBox.join(', ')}] must be [west, south, east, north]`);
+      return { type: 'Polygon', coordinates: [[[w, s], [e, s], [e, n], [w, n], [w, s]]] };
+    }
+    case 'defaultStudyAreaWKT': {
+      const geojson = parseWKT(ip.defaultStudyAreaWKT);
+      return polygonalGeoJSON(geojson);
+    }
+    default:
+      return null;
+  }
+}
+
+/** The study area of a table asset: the geometry of its (filtered) features. */
+function studyAreaFromAsset(ip, eeApi) {
+  let table = eeApi.FeatureCollection(ip.defaultStudyAreaAsset);
+  for (const [property, value] of Object.entries(ip.defaultStudyAreaAssetFilter || {})) {
+    table = table.filter(Array.isArray(value) ? eeApi.Filter.inList(property, value) : eeApi.Filter.eq(property, value));
+  }
+  return table.geometry();
+}
+
+// ─── Study area checks ──────────────────────────────────────────────────────────
+// Local checks on the study area GeoJSON, run during validation so malformed
+// polygons fail before anything reaches Earth Engine. Areas are computed on a
+// sphere of the Earth's mean radius, both with great-circle edges
+// (defaultStudyAreaGeodesic: true) and with edges straight in longitude/latitude.
+
+const EARTH_RADIUS_KM = 6371.0088;
+const DEFAULT_MAX_STUDY_AREA_KM2 = 100000;
+// Relative area difference between the two edge interpretations worth a warning
+const GEODESIC_DIFFERENCE_WARNING = 0.01;
+// Rings with more vertices are not checked for self-intersection (the check is quadratic)
+const SELF_INTERSECTION_MAX_VERTICES = 5000;
+
+const toRadians = (deg) => deg * Math.PI / 180;
+
+/** Polygons of a Polygon/MultiPolygon GeoJSON, each a list of rings. */
+const polygonsOf = (geojson) => (geojson.type === 'Polygon' ? [geojson.coordinates] : geojson.coordinates);
+
+const samePosition = (p, q) => p[0] === q[0] && p[1] === q[1];
+
+/** The distinct vertices of a ring, in order: closing vertex and repeated neighbours dropped. */
+function ringVertices(ring) {
+  const points = ring.filter((p, i) => i === 0 || !samePosition(p, ring[i - 1]));
+  return points.length > 1 && samePosition(points[0], points[points.length - 1]) ? points.slice(0, -1) : points;
+}
+
+/** Names a ring for messages, e.g. "exterior ring" or "polygon 2, hole 1". */
+function ringLabel(polygonIndex, ringIndex, polygonCount) {
+  return `${polygonCount > 1 ? `polygon ${polygonIndex + 1}, ` : ''}${ringIndex === 0 ? 'exterior ring' : `hole ${ringIndex}`}`;
+}
+
+/** Signed area in squared degrees; positive for counter-clockwise rings. */
+function planarSignedArea(points) {
+  let sum = 0;
+  points.forEach((p, i) => {
+    const q = points[(i + 1) % points.length];
+    sum += p[0] * q[1] - q[0] * p[1];
+  });
+  return sum / 2;
+}
+
+/** Area (km²) enclosed by a ring whose edges are great-circle arcs. */
+function geodesicRingArea(points) {
+  // Sum of signed spherical triangles with the pole (as in d3-geo's area)
+  let sum = 0;
+  const [lon0, lat0] = points[points.length - 1];
+  let lambda0 = toRadians(lon0);
+  let cosPhi0 = Math.cos(toRadians(lat0) / 2 + Math.PI / 4);
+  let sinPhi0 = Math.sin(toRadians(lat0) / 2 + Math.PI / 4);
+  for (const [lon, lat] of points) {
+    const lambda = toRadians(lon);
+    const phi = toRadians(lat) / 2 + Math.PI / 4;
+    const dLambda = lambda - lambda0;
+    const sign = dLambda >= 0 ? 1 : -1;
+    const k = sinPhi0 * Math.sin(phi);
+    sum += Math.atan2(k * sign * Math.sin(sign * dLambda), cosPhi0 * Math.cos(phi) + k * Math.cos(sign * dLambda));
+    [lambda0, cosPhi0, sinPhi0] = [lambda, Math.cos(phi), Math.sin(phi)];
+  }
+  const steradians = Math.abs(2 * sum);
+  return Math.min(steradians, 4 * Math.PI - steradians) * EARTH_RADIUS_KM ** 2;
+}
+
+/** Area (km²) enclosed by a ring whose edges are straight in longitude/latitude. */
+function planarEdgeRingArea(points) {
+  // Exact ∮ sin(lat) d(lon) along each edge, latitude varying linearly with longitude
+  let sum = 0;
+  points.forEach((p, i) => {
+    const q = points[(i + 1) % points.length];
+    const [lon1, lat1, lon2, lat2] = [p[0], p[1], q[0], q[1]].map(toRadians);
+    const dLat = lat2 - lat1;
+    sum += (lon2 - lon1) * (Math.abs(dLat) < 1e-12 ? Math.sin(lat1) : (Math.cos(lat1) - Math.cos(lat2)) / dLat);
+  });
+  return Math.abs(sum) * EARTH_RADIUS_KM ** 2;
+}
+
+/** Cross product of (a - o) and (b - o); its sign tells on which side of o→a the point b lies. */
+const crossProduct = (o, a, b) => (a[0] - o[0]) * (b[1] - o[1]) - (a[1] - o[1]) * (b[0] - o[0]);
+
+/** Whether segments a-b and c-d touch or cross. */
+function segmentsIntersect(a, b, c, d) {
+  const within = (p, q, r) => Math.min(p[0], r[0]) <= q[0] && q[0] <= Math.max(p[0], r[0]) &&
+    Math.min(p[1], r[1]) <= q[1] && q[1] <= Math.max(p[1], r[1]);
+  const [o1, o2, o3, o4] = [crossProduct(a, b, c), crossProduct(a, b, d), crossProduct(c, d, a), crossProduct(c, d, b)].map(Math.sign);
+  if (o1 !== o2 && o3 !== o4) return true;
+  return (o1 === 0 && within(a, c, b)) || (o2 === 0 && within(a, d, b)) ||
+    (o3 === 0 && within(c, a, d)) || (o4 === 0 && within(c, b, d));
+}
+
+/** Whether a point lies inside a ring (ray casting; points on the boundary may go either way). */
+function pointInRing(point, points) {
+  let inside = false;
+  points.forEach((p, i) => {
+    const q = points[(i + 1) % points.length];
+    if ((p[1] > point[1]) !== (q[1] > point[1]) &&
+        point[0] < p[0] + (point[1] - p[1]) * (q[0] - p[0]) / (q[1] - p[1])) {
+      inside = !inside;
+    }
+  });
+  return inside;
+}
+
+/** First pair of non-adjacent edges of a ring that touch or cross, as { first, second, at }. */
+function findSelfIntersection(points) {
+  const n = points.length;
+  for (let i = 0; i < n; i++) {
+    const [a, b] = [points[i], points[(i + 1) % n]];
+    for (let j = i + 2; j < n; j++) {
+      if (i === 0 && j === n - 1) continue;  // the closing edge is adjacent to the first
+      const [c, d] = [points[j], points[(j + 1) % n]];
+      if (!segmentsIntersect(a, b, c, d)) continue;
+      const denominator = crossProduct([0, 0], [b[0] - a[0], b[1] - a[1]], [d[0] - c[0], d[1] - c[1]]);
+      const t = denominator === 0 ? 0 : crossProduct([0, 0], [c[0] - a[0], c[1] - a[1]], [d[0] - c[0], d[1] - c[1]]) / denominator;
+      const at = [a[0] + t * (b[0] - a[0]), a[1] + t * (b[1] - a[1])].map(v => Math.round(v * 1e5) / 1e5);
+      return { first: i + 1, second: j + 1, at };
+    }
+  }
+  return null;
+}
+
+/** Problems Earth Engine would reject or misread: coordinate ranges, degenerate rings, self-intersections. */
+function studyAreaGeometryErrors(geojson) {
+  const errors = [];
+  const positions = polygonsOf(geojson).flat(1).flat(1);
+  const outOfRange = positions.filter(([lon, lat]) => Math.abs(lon) > 180 || Math.abs(lat) > 90);
+  if (outOfRange.length > 0) {
+    const swapped = positions.every(([lon, lat]) => Math.abs(lon) <= 90 && Math.abs(lat) <= 180);
+    errors.push(`${outOfRange.length} position(s) outside longitude [-180, 180] / latitude [-90, 90], e.g. [${outOfRange[0].join(', ')}]` +
+      (swapped ? '; the coordinates look like [lat, lon], but GeoJSON order is [lon, lat]' : ''));
+    return errors;
+  }
+
+  const polygons = polygonsOf(geojson);
+  polygons.forEach((rings, p) => rings.forEach((ring, r) => {
+    const label = ringLabel(p, r, polygons.length);
+    const points = ringVertices(ring);
+    if (points.length < 3) {
+      errors.push(`${label} has ${points.length} distinct vertices (at least 3 are needed)`);
+    } else if (points.length <= SELF_INTERSECTION_MAX_VERTICES) {
+      const hit = findSelfIntersection(points);
+      if (hit) errors.push(`${label} intersects itself: edges ${hit.first} and ${hit.second} meet near [${hit.at.join(', ')}]`);
+    }
+  }));
+  return errors;
+}
+
+/** Area (km²) under both edge interpretations and the bounding box [west, south, east, north]. */
+function measureStudyArea(geojson, geodesic) {
+  let geodesicKm2 = 0;
+  let planarKm2 = 0;
+  for (const rings of polygonsOf(geojson)) {
+    rings.map(ringVertices).filter(points => points.length >= 3).forEach((points, r) => {
+      const sign = r === 0 ? 1 : -1;  // holes are subtracted
+      geodesicKm2 += sign * geodesicRingArea(points);
+      planarKm2 += sign * planarEdgeRingArea(points);
+    });
+  }
+
+  const positions = polygonsOf(geojson).flat(2);
+  const lons = positions.map(p => p[0]);
+  const lats = positions.map(p => p[1]);
+  return {
+    areaKm2: geodesic ? geodesicKm2 : planarKm2,
+    geodesicKm2,
+    planarKm2,
+    bbox: [Math.min(...lons), Math.min(...lats), Math.max(...lons), Math.max(...lats)]
+  };
+}
+
+/** Things that are accepted but probably not meant: open rings, winding order, edge interpretation. */
+function studyAreaShapeWarnings(geojson, geodesic) {
+  const warnings = [];
+  const polygons = polygonsOf(geojson);
+  polygons.forEach((rings, p) => rings.forEach((ring, r) => {
+    const label = ringLabel(p, r, polygons.length);
+    if (ring.length > 1 && !samePosition(ring[0], ring[ring.length - 1])) {
+      warnings.push(`${label} is not closed (its last position differs from the first); Earth Engine will close it`);
+    }
+    const points = ringVertices(ring);
+    if (points.length < 3) return;
+    const counterClockwise = planarSignedArea(points) > 0;
+    if (r === 0 && !counterClockwise) warnings.push(`${label} is clockwise (GeoJSON expects counter-clockwise exterior rings)`);
+    if (r > 0 && counterClockwise) warnings.push(`${label} is counter-clockwise (GeoJSON expects clockwise holes)`);
+  }));
+
+  const { geodesicKm2, planarKm2 } = measureStudyArea(geojson, geodesic);
+  const difference = Math.abs(geodesicKm2 - planarKm2) / Math.max(geodesicKm2, planarKm2);
+  if (difference > GEODESIC_DIFFERENCE_WARNING) {
+    const [used, other] = geodesic ? [geodesicKm2, planarKm2] : [planarKm2, geodesicKm2];
+    warnings.push(`Study area is ${formatArea(used)} with defaultStudyAreaGeodesic ${geodesic} but ${formatArea(other)} with ` +
+      `${!geodesic} (${(difference * 100).toFixed(1)}% apart); make sure the edge interpretation is the intended one`);
+  }
+  return warnings;
+}
+
+const formatArea = (km2) => `${km2.toLocaleString('en-US', { maximumFractionDigits: km2 < 10 ? 3 : 1 })} km²`;
+
+/** Area and bounding box lines for the configuration summary. */
+function describeStudyArea(ip) {
+  const [form] = studyAreaForms(ip);
+  if (!form) return { area: 'not set (caller default)', bbox: '-' };
+  if (form === 'defaultStudyAreaAsset') return { area: `table ${ip.defaultStudyAreaAsset} (measured server-side)`, bbox: '-' };
+
+  const geodesic = ip.defaultStudyAreaGeodesic !== undefined ? ip.defaultStudyAreaGeodesic : false;
+  const geojson = studyAreaGeoJSON(ip);
+  const { areaKm2, bbox } = measureStudyArea(geojson, geodesic);
+  return {
+    area: `${formatArea(areaKm2)} (${geojson.type}, ${geodesic ? 'geodesic' : 'planar'} edges)`,
+    bbox: `[${bbox.map(v => Math.round(v * 1e5) / 1e5).join(', ')}]`
+  };
+}
+
 /**
- * Reconstructs GEE Geometry objects from JSON coordinates.
+ * Reconstructs GEE Geometry objects from the sidecar's study area form.
  * This handles the "defaultStudyArea" problem where JSON can't store ee.Geometry.
  */
-function reconstructGeometries(params) {
+function reconstructGeometries(params, logger, eeApi = ee) {
   if (!params.inputParameters) return params;
 
   const ip = params.inputParameters;
+  const geodesic = ip.defaultStudyAreaGeodesic !== undefined ? ip.defaultStudyAreaGeodesic : false;
+  const [form] = studyAreaForms(ip);
 
-  // Reconstruct defaultStudyArea if coordinates are provided
-  if (ip.defaultStudyAreaCoordinates) {
-    ip.defaultStudyArea = ee.Geometry.Polygon(
-      ip.defaultStudyAreaCoordinates,
-      null,
-      ip.defaultStudyAreaGeodesic !== undefined ? ip.defaultStudyAreaGeodesic : false
-    );
+  if (form === 'defaultStudyAreaCoordinates') {
+    ip.defaultStudyArea = eeApi.Geometry.Polygon(ip.defaultStudyAreaCoordinates, null, geodesic);
     logger.info('Reconstructed defaultStudyArea from coordinates');
+  } else if (form === 'defaultStudyAreaAsset') {
+    const filter = Object.entries(ip.defaultStudyAreaAssetFilter || {}).map(([k, v]) => `${k}=${JSON.stringify(v)}`);
+    ip.defaultStudyArea = studyAreaFromAsset(ip, eeApi);
+    logger.info(`Reconstructed defaultStudyArea from table ${ip.defaultStudyAreaAsset}${filter.length ? ` (${filter.join(', ')})` : ''}`);
+  } else if (form) {
+    const geojson = studyAreaGeoJSON(ip);
+    ip.defaultStudyArea = eeApi.Geometry(geojson, null, geodesic);
+    const labels = { defaultStudyAreaGeoJSON: 'GeoJSON', defaultStudyAreaBBox: 'bounding box', defaultStudyAreaWKT: 'WKT' };
+    const parts = geojson.type === 'MultiPolygon' ? `, ${geojson.coordinates.length} polygons` : '';
+    logger.info(`Reconstructed defaultStudyArea from ${labels[form]} (${geojson.type}${parts})`);
   }
 
   // Propagate defaultStudyArea to nested collection parameters
@@ -593,333 +2421,3478 @@ function reconstructGeometries(params) {
 }
 
 // ═══════════════════════════════════════════════════════════════════════════════
-// SECTION 6: SANDBOX CREATION
+// SECTION 7: OFFLINE EARTH ENGINE STAND-IN
 // ═══════════════════════════════════════════════════════════════════════════════
+//
+// --offline replaces the `ee` object with a local stand-in so the caller and
+// every module can be executed without credentials or network access. Each ee
+// call returns a lazy node that only records what was asked for; nothing is
+// computed. The point is to surface JavaScript errors, missing modules and shim
+// gaps, and to show which exports a real run would create.
+//
+// Method names are checked against the catalog below, plus the client-defined
+// methods and ee.data functions of the installed @google/earthengine. The
+// server algorithms (Image.focal_min, Image.regexpRename, ...) are only sent to
+// the client by ee.initialize(), so they cannot be known offline: a name found
+// nowhere returns an untyped node and is reported as a warning, not an error.
+
+// Parent class of each node kind; method lookups walk this chain
+const OFFLINE_PARENTS = {
+  Element: 'ComputedObject',
+  Image: 'Element',
+  Feature: 'Element',
+  Collection: 'Element',
+  ImageCollection: 'Collection',
+  FeatureCollection: 'Collection',
+  Geometry: 'ComputedObject',
+  Number: 'ComputedObject',
+  String: 'ComputedObject',
+  List: 'ComputedObject',
+  Dictionary: 'ComputedObject',
+  Date: 'ComputedObject',
+  Filter: 'ComputedObject',
+  Reducer: 'ComputedObject',
+  Kernel: 'ComputedObject'
+};
 
-function createSandbox(sidecarData, moduleResolver, sharedShims) {
-  // Submitted task tracking
-  const submittedTasks = [];
+// Kinds whose API is too broad to catalog; any method is accepted silently
+const OFFLINE_PERMISSIVE = ['Object', 'ComputedObject', 'Array', 'Projection', 'Join', 'Classifier', 'Clusterer',
+  'ConfusionMatrix', 'PixelType', 'ErrorMargin', 'DateRange', 'Algorithms', 'Model'];
+
+// Instance methods per kind, grouped by the kind they return ("self" = receiver's kind)
+const OFFLINE_METHODS = {
+  ComputedObject: {
+    self: 'aside',
+    String: 'name'
+  },
+  Element: {
+    self: 'set setMulti copyProperties',
+    Object: 'get',
+    Number: 'getNumber',
+    String: 'getString',
+    Array: 'getArray',
+    List: 'propertyNames',
+    Dictionary: 'toDictionary'
+  },
+  Image: {
+    self: `abs acos add and asin atan atan2 bitCount bitwiseAnd bitwiseNot bitwiseOr bitwiseXor blend byte cast
+      cbrt ceil changeProj clamp clip clipToBoundsAndScale clipToCollection cos cosh cumulativeCost derivative
+      digamma displace distance divide double entropy eq erf erfInv erfc erfcInv exp expression fastDistanceTransform
+      first firstNonZero float floor focalMax focalMean focalMedian focalMin focalMode gamma gammainc glcmTexture
+      gradient gt gte hsvToRgb hypot int int16 int32 int64 int8 interpolate lanczos leftShift log log10 long lt
+      lte mask max medialAxis metadata min mod multiply neighborhoodToArray neighborhoodToBands neq normalizedDifference
+      not or paint polynomial pow reduce reduceConnectedComponents reduceNeighborhood reduceResolution remap rename
+      reproject resample rgbToHsv rightShift round select selfMask setDefaultProjection short signum sin sinh
+      sldStyle spectralDistance sqrt subtract tan tanh toArray toByte toDouble toFloat toInt toInt16 toInt32
+      toInt64 toInt8 toLong toShort toUint16 toUint32 toUint8 translate trigamma uint16 uint32 uint8 unitScale
+      unmask unmix updateMask visualize where zeroCrossing addBands arrayAccum arrayArgmax arrayCat arrayDotProduct
+      arrayFlatten arrayGet arrayLength arrayLengths arrayMask arrayPad arrayProject arrayReduce arrayRepeat
+      arraySlice arraySort arrayTranspose connectedComponents connectedPixelCount entropy linkCollection`,
+    List: 'bandNames',
+    Dictionary: 'bandTypes reduceRegion',
+    FeatureCollection: 'reduceRegions reduceToVectors sample sampleRegions stratifiedSample',
+    Geometry: 'geometry',
+    Projection: 'projection',
+    String: 'id',
+    Date: 'date',
+    Client: 'getThumbURL getDownloadURL getMap getMapId'
+  },
+  Collection: {
+    self: 'filter filterBounds filterDate filterMetadata limit sort merge map distinct randomColumn remap',
+    Number: `size aggregate_count aggregate_count_distinct aggregate_max aggregate_mean aggregate_min
+      aggregate_product aggregate_sample_sd aggregate_sample_var aggregate_sum aggregate_total_sd aggregate_total_var`,
+    List: 'toList aggregate_array',
+    Object: 'aggregate_first iterate',
+    Dictionary: 'aggregate_histogram aggregate_stats reduceColumns',
+    Geometry: 'geometry',
+    Image: 'draw',
+    FeatureCollection: 'flatten'
+  },
+  ImageCollection: {
+    self: 'select',
+    Image: `first mean median min max sum mode mosaic qualityMosaic reduce count product and or toBands
+      toArray toArrayPerBand formaTrend`,
+    List: 'getRegion'
+  },
+  FeatureCollection: {
+    self: 'select union classify makeArray',
+    Feature: 'first',
+    Image: 'style reduceToImage kriging inverseDistance',
+    Client: 'getDownloadURL'
+  },
+  Feature: {
+    self: `buffer centroid simplify transform select setGeometry bounds convexHull union intersection
+      difference dissolve symmetricDifference cutLines`,
+    Geometry: 'geometry',
+    Number: 'area perimeter length distance',
+    Object: 'contains containedIn disjoint intersects withinDistance',
+    String: 'id'
+  },
+  Geometry: {
+    self: `buffer bounds centroid convexHull dissolve intersection union difference simplify transform
+      symmetricDifference cutLines`,
+    Number: 'area perimeter length distance',
+    List: 'coordinates geometries',
+    String: 'type',
+    Object: 'contains containedIn disjoint intersects withinDistance isUnbounded edgesAreGeodesics geodesic',
+    FeatureCollection: 'coveringGrid',
+    Projection: 'projection',
+    Client: 'toGeoJSON toGeoJSONString'
+  },
+  Number: {
+    self: `abs add subtract multiply divide min max mod pow sqrt cbrt exp log log10 round floor ceil int float
+      double long byte short toInt toFloat toDouble toLong toByte toShort toInt8 toInt16 toInt32 toInt64 toUint8
+      toUint16 toUint32 and or not eq neq gt gte lt lte clamp unitScale sin cos tan acos asin atan atan2 sinh
+      cosh tanh hypot signum bitwiseAnd bitwiseOr bitwiseXor bitwiseNot leftShift rightShift erf gamma`,
+    String: 'format'
+  },
+  String: {
+    self: 'cat replace slice toLowerCase toUpperCase trim',
+    Number: 'compareTo index length rindex',
+    Object: 'equals decodeJSON',
+    List: 'match split'
+  },
+  List: {
+    self: `add cat distinct filter flatten insert map remove removeAll replace replaceAll reverse rotate set
+      shuffle slice sort splice swap zip`,
+    Object: 'contains containsAll equals get iterate reduce',
+    Number: 'getNumber indexOf indexOfSublist lastIndexOfSubList length size',
+    String: 'getString join',
+    Dictionary: 'frequency'
+  },
+  Dictionary: {
+    self: 'combine map rename remove select set',
+    Object: 'contains get',
+    Number: 'getNumber size',
+    String: 'getString',
+    Array: 'getArray toArray',
+    Geometry: 'getGeometry',
+    List: 'keys values',
+    Image: 'toImage'
+  },
+  Date: {
+    self: 'advance update',
+    Number: 'difference get getFraction millis unitRatio',
+    String: 'format',
+    DateRange: 'getRange',
+    Object: 'getRelative'
+  },
+  Filter: {
+    self: 'not'
+  },
+  Reducer: {
+    self: 'combine group repeat setOutputs splitWeights unweighted forEach disaggregate',
+    List: 'getOutputs'
+  },
+  Kernel: {
+    self: 'add rotate inverse'
+  }
+};
 
-  // Script exports container
-  const scriptExports = {};
+// Static constructors and helpers per namespace, grouped the same way
+const OFFLINE_STATICS = {
+  Image: { Image: 'constant pixelLonLat pixelArea pixelCoordinates random load cat rgb' },
+  ImageCollection: { ImageCollection: 'fromImages load' },
+  FeatureCollection: { FeatureCollection: 'randomPoints loadBigQueryTable' },
+  Geometry: { Geometry: 'Point MultiPoint LineString LinearRing MultiLineString Polygon MultiPolygon Rectangle BBox' },
+  List: { List: 'sequence repeat' },
+  Dictionary: { Dictionary: 'fromLists' },
+  Date: { Date: 'fromYMD parse', Number: 'unitRatio' },
+  Number: { Number: 'parse expression' },
+  String: { String: 'encodeJSON' },
+  Filter: {
+    Filter: `eq neq lt lte gt gte and or not date dayOfYear calendarRange bounds inList stringContains
+      stringStartsWith stringEndsWith notNull intersects equals maxDifference rangeContains listContains
+      isContained withinDistance expression`
+  },
+  Reducer: {
+    Reducer: `mean median sum min max minMax count countEvery countDistinct countRuns stdDev variance
+      sampleStdDev sampleVariance first last firstNonNull lastNonNull mode percentile intervalMean linearFit
+      linearRegression robustLinearRegression ridgeRegression histogram fixedHistogram autoHistogram
+      frequencyHistogram toList toCollection sensSlope kendallsCorrelation pearsonsCorrelation
+      spearmansCorrelation centeredCovariance covariance anyNonZero allNonZero product skew kurtosis
+      geometricMedian bitwiseAnd bitwiseOr and or`
+  },
+  Kernel: {
+    Kernel: `circle square rectangle gaussian octagon plus cross diamond euclidean manhattan chebyshev fixed
+      kirsch laplacian4 laplacian8 prewitt roberts sobel compass`
+  },
+  Terrain: { Image: 'products slope aspect hillshade hillShadow fillMinima' }
+};
 
-  const sandbox = {
-    ee: ee,
-    require: moduleResolver,
+/** Flattens one of the catalog tables into { name: returnKind }. */
+function indexCatalog(table) {
+  const index = {};
+  for (const [returns, names] of Object.entries(table || {})) {
+    names.split(/\s+/).filter(Boolean).forEach(name => { index[name] = returns; });
+  }
+  return index;
+}
 
-    // Provide exports for scripts that use them
-    exports: scriptExports,
-    module: { exports: scriptExports },
+const OFFLINE_METHOD_INDEX = Object.fromEntries(
+  Object.entries(OFFLINE_METHODS).map(([kind, table]) => [kind, indexCatalog(table)]));
 
-    // THE SWITCH: This triggers Lab Mode in the Caller
-    inputParams: sidecarData,
+const OFFLINE_STATIC_INDEX = Object.fromEntries(
+  Object.entries(OFFLINE_STATICS).map(([kind, table]) => [kind, indexCatalog(table)]));
 
-    // GEE print shim - logs to console unless --quiet flag is set
-    print: (...args) => {
-      if (config.quiet) return; // Suppress print output in quiet mode
-      const formatted = args.map(a =>
-        typeof a === 'object' ? JSON.stringify(a, null, 2) : String(a)
-      ).join(' ');
-      logger.gee(formatted);
-    },
+/** Public functions of `target` (and its prototype chain) in the installed client. */
+function clientFunctionNames(target) {
+  const names = new Set();
+  for (let t = target; t && t !== Object.prototype && t !== Function.prototype; t = Object.getPrototypeOf(t)) {
+    Object.getOwnPropertyNames(t)
+      .filter(n => !n.endsWith('_') && n !== 'constructor' && typeof Object.getOwnPropertyDescriptor(t, n).value === 'function')
+      .forEach(n => names.add(n));
+  }
+  return names;
+}
 
-    console: {
-      log: (...args) => logger.info(...args),
+const clientMethodNames = (kind) => (ee[kind] && ee[kind].prototype ? clientFunctionNames(ee[kind].prototype) : new Set());
+const clientStaticNames = (kind) => (ee[kind] ? clientFunctionNames(ee[kind]) : new Set());
+
+function lookupOfflineMethod(kind, name) {
+  for (let k = kind; k; k = OFFLINE_PARENTS[k]) {
+    const returns = OFFLINE_METHOD_INDEX[k] && OFFLINE_METHOD_INDEX[k][name];
+    if (returns) return returns;
+  }
+  return null;
+}
+
+// Image methods whose output band names cannot be derived from their input
+const BAND_RESETTING_METHODS = ['reduce', 'arrayFlatten', 'neighborhoodToBands', 'glcmTexture', 'unmix',
+  'reduceNeighborhood', 'reduceConnectedComponents', 'expression', 'connectedComponents', 'metadata'];
+
+const FIXED_BAND_METHODS = {
+  normalizedDifference: ['nd'],
+  visualize: ['vis-red', 'vis-green', 'vis-blue'],
+  rgbToHsv: ['hue', 'saturation', 'value'],
+  hsvToRgb: ['red', 'green', 'blue'],
+  gradient: ['x', 'y'],
+  toArray: ['array'],
+  pixelLonLat: ['longitude', 'latitude'],
+  pixelArea: ['area'],
+  pixelCoordinates: ['x', 'y'],
+  random: ['random'],
+  constant: ['constant']
+};
+
+/** Output band names of select(), or null when they cannot be known offline. */
+function selectBands(currentBands, args) {
+  const [selectors, newNames] = Array.isArray(args[0]) ? args : [args, null];
+  if (Array.isArray(newNames) && newNames.every(n => typeof n === 'string')) return newNames;
+
+  const picked = [];
+  for (const selector of selectors) {
+    if (typeof selector === 'number') {
+      if (!currentBands || currentBands[selector] === undefined) return null;
+      picked.push(currentBands[selector]);
+    } else if (typeof selector === 'string') {
+      if (/[.*+?^${}()|[\]\\]/.test(selector)) {
+        if (!currentBands) return null;
+        const pattern = new RegExp(`^${selector}$`);
+        picked.push(...currentBands.filter(b => pattern.test(b)));
+      } else {
+        picked.push(selector);
+      }
+    } else {
+      return null;
+    }
+  }
+  return picked;
+}
+
+/** Extracts the GeoJSON geometry a Geometry constructor describes, when it is literal. */
+function offlineGeoJSON(type, args) {
+  const flat = args.length === 1 && Array.isArray(args[0]) ? args[0] : args;
+  switch (type) {
+    case 'Rectangle':
+    case 'BBox': {
+      const [w, s, e, n] = Array.isArray(flat[0]) ? [...flat[0], ...flat[1]] : flat;
+      if (![w, s, e, n].every(v => typeof v === 'number')) return null;
+      return { type: 'Polygon', coordinates: [[[w, s], [e, s], [e, n], [w, n], [w, s]]] };
+    }
+    case 'Point':
+      return flat.every(v => typeof v === 'number') ? { type: 'Point', coordinates: flat.slice(0, 2) } : null;
+    case 'Polygon':
+    case 'MultiPolygon':
+    case 'LineString':
+    case 'MultiLineString':
+    case 'LinearRing':
+    case 'MultiPoint':
+      return Array.isArray(args[0]) ? { type, coordinates: args[0] } : null;
+    default:
+      return isPlainObject(args[0]) && args[0].type ? args[0] : null;
+  }
+}
+
+/** Short human-readable description of an offline geometry node (for export reports). */
+function describeOfflineGeometry(node) {
+  if (!node || !node.__kind) return node === undefined ? 'not set' : String(node);
+  const geojson = node.__geojson;
+  if (!geojson) return `${node.__kind} (${node.__op})`;
+
+  const points = [];
+  const collect = (c) => (typeof c[0] === 'number' ? points.push(c) : c.forEach(collect));
+  collect(geojson.coordinates);
+  const lons = points.map(p => p[0]);
+  const lats = points.map(p => p[1]);
+  const bbox = [Math.min(...lons), Math.min(...lats), Math.max(...lons), Math.max(...lats)]
+    .map(v => Math.round(v * 1e5) / 1e5);
+  return `${geojson.type} (${points.length} vertices, bbox [${bbox.join(', ')}])`;
+}
+
+/**
+ * Builds the offline `ee` stand-in. `report` collects what the run touched:
+ * methods missing from the catalog and client-side value requests
+ * (getInfo/evaluate), which can only ever return null offline.
+ */
+function createOfflineEE(report = { unknownMethods: new Map(), valueRequests: 0 }) {
+  const prototypes = {};
+  const constructors = {};
+
+  const makeNode = (kind, op, args = [], extra = {}) => {
+    const target = Object.create(prototypes[kind] ? prototypes[kind].prototype : prototypes.ComputedObject.prototype);
+    Object.assign(target, {
+      __kind: kind,
+      __op: op,
+      __args: args,
+      __bands: extra.bands !== undefined ? extra.bands : null,
+      __value: extra.value,
+      __geojson: extra.geojson || null
+    });
+    return new Proxy(target, nodeHandler);
+  };
+
+  // Names the installed client defines are known even when the catalog lacks them
+  const clientNames = { method: {}, static: {} };
+  const knownToClient = (kind, name, type = 'method') => {
+    const cache = clientNames[type];
+    if (!cache[kind]) cache[kind] = type === 'method' ? clientMethodNames(kind) : clientStaticNames(kind);
+    return cache[kind].has(name);
+  };
+
+  const noteUnknown = (name) => {
+    report.unknownMethods.set(name, (report.unknownMethods.get(name) || 0) + 1);
+  };
+
+  // Calls server-side function arguments once with placeholders, exactly like the
+  // real client traces them, so errors inside map()/iterate() callbacks surface.
+  const elementKindOf = { ImageCollection: 'Image', FeatureCollection: 'Feature', Collection: 'Element' };
+  const traceCallbacks = (kind, args) => args.map(arg => (typeof arg === 'function'
+    ? arg(makeNode(elementKindOf[kind] || 'Object', 'placeholder'), makeNode('Object', 'placeholder'))
+    : arg));
+
+  const clientValue = (node) => (node.__value !== undefined ? node.__value : null);
+
+  // Client-side methods every node supports
+  const clientMethods = {
+    getInfo: (node) => (callback) => {
+      report.valueRequests++;
+      if (callback) callback(clientValue(node));
+      return callback ? undefined : clientValue(node);
+    },
+    evaluate: (node) => (callback) => {
+      report.valueRequests++;
+      callback(clientValue(node));
+    },
+    serialize: (node) => () => JSON.stringify(node),
+    toJSON: (node) => () => ({ type: node.__kind, expression: node.__op }),
+    toString: (node) => () => `ee.${node.__kind}(${node.__op})`,
+    toGeoJSON: (node) => () => node.__geojson,
+    toGeoJSONString: (node) => () => JSON.stringify(node.__geojson),
+    getThumbURL: () => () => 'offline://thumbnail',
+    getDownloadURL: () => () => 'offline://download',
+    getMap: () => () => ({ mapid: 'offline', token: '' }),
+    getMapId: () => () => ({ mapid: 'offline', token: '' })
+  };
+
+  const callMethod = (node, name, args) => {
+    const kind = node.__kind;
+    let returns = lookupOfflineMethod(kind, name);
+    if (!returns) {
+      if (!OFFLINE_PERMISSIVE.includes(kind) && !knownToClient(kind, name)) noteUnknown(`${kind}.${name}`);
+      returns = 'Object';
+    }
+
+    const traced = traceCallbacks(kind, args);
+    const resultKind = returns === 'self' ? kind : returns;
+    const extra = {};
+
+    // Track band names through the image operations the callers use for exports
+    if (kind === 'Image' || kind === 'ImageCollection') {
+      if (name === 'select') extra.bands = selectBands(node.__bands, args);
+      else if (name === 'rename') {
+        const names = Array.isArray(args[0]) ? args[0] : args;
+        extra.bands = names.every(n => typeof n === 'string') ? names : null;
+      }
+      else if (name === 'addBands') {
+        const other = args[0] && args[0].__bands;
+        extra.bands = node.__bands && other ? [...node.__bands, ...other] : null;
+      } else if (name === 'map') extra.bands = traced[0] && traced[0].__bands !== undefined ? traced[0].__bands : null;
+      else if (FIXED_BAND_METHODS[name]) extra.bands = FIXED_BAND_METHODS[name];
+      else if (!BAND_RESETTING_METHODS.includes(name) && (resultKind === 'Image' || resultKind === 'ImageCollection')) {
+        extra.bands = node.__bands;
+      }
+    }
+
+    // Geometry shape survives operations that keep (roughly) the same extent
+    if (['bounds', 'transform', 'simplify', 'geometry'].includes(name)) extra.geojson = node.__geojson;
+
+    return makeNode(resultKind, `${kind}.${name}`, args, extra);
+  };
+
+  // `receiver` is the node proxy itself, so method calls see tracked state
+  const nodeHandler = {
+    get(target, prop, receiver) {
+      if (typeof prop === 'symbol') {
+        if (prop === Symbol.toPrimitive) return () => `ee.${target.__kind}(${target.__op})`;
+        return target[prop];
+      }
+      if (prop.startsWith('__')) return target[prop];
+      if (prop === 'then') return undefined;  // never look like a Promise
+      if (prop === 'constructor') return constructors[target.__kind] || constructors.ComputedObject;
+      if (clientMethods[prop]) return clientMethods[prop](receiver);
+      return (...args) => callMethod(receiver, prop, args);
+    }
+  };
+
+  // Constructors: callable with or without `new`, with catalogued static methods
+  const defineKind = (kind, init = () => ({})) => {
+    const Ctor = function (...args) {
+      if (args.length === 1 && args[0] && args[0].__kind === kind) return args[0];
+      return makeNode(kind, `ee.${kind}`, args, init(...args));
+    };
+    prototypes[kind] = Ctor;
+    const parent = OFFLINE_PARENTS[kind];
+    if (parent && prototypes[parent]) Object.setPrototypeOf(Ctor.prototype, prototypes[parent].prototype);
+
+    constructors[kind] = new Proxy(Ctor, {
+      get(fn, prop) {
+        if (typeof prop === 'symbol' || prop in fn) return fn[prop];
+        const statics = OFFLINE_STATIC_INDEX[kind] || {};
+        const returns = statics[prop];
+        if (OFFLINE_PERMISSIVE.includes(kind)) return permissiveMember(kind, `ee.${kind}.${prop}`);
+        if (!returns && !knownToClient(kind, prop, 'static')) noteUnknown(`ee.${kind}.${prop}`);
+        return function (...args) {  // not an arrow: `new ee.Geometry.Polygon(...)` must work
+          const traced = traceCallbacks(kind, args);
+          const extra = {};
+          if (kind === 'Geometry') extra.geojson = offlineGeoJSON(prop, args);
+          if (FIXED_BAND_METHODS[prop]) extra.bands = FIXED_BAND_METHODS[prop];
+          if (kind === 'Image' && prop === 'cat') extra.bands = imageBands(traced);
+          return makeNode(returns || 'Object', `ee.${kind}.${prop}`, args, extra);
+        };
+      }
+    });
+    return constructors[kind];
+  };
+
+  // Members of permissive namespaces are callable and can hold further members,
+  // as in ee.Algorithms.Sentinel2.CDI(image)
+  const permissiveMember = (kind, op) => new Proxy(function (...args) {
+    traceCallbacks(kind, args);
+    return makeNode('Object', op, args);
+  }, {
+    get(fn, prop) {
+      if (typeof prop === 'symbol' || ['call', 'apply', 'bind', 'length', 'name', 'prototype'].includes(prop)) return fn[prop];
+      if (prop === 'then') return undefined;
+      return permissiveMember(kind, `${op}.${prop}`);
+    }
+  });
+
+  // Band names of ee.Image(x) for the literal forms the callers use
+  const imageBands = (args) => {
+    const parts = args.length === 1 && Array.isArray(args[0]) ? args[0] : args;
+    const bands = [];
+    for (const part of parts) {
+      if (typeof part === 'number') bands.push('constant');
+      else if (part && part.__kind) {
+        if (!part.__bands) return null;
+        bands.push(...part.__bands);
+      } else return null;
+    }
+    return bands;
+  };
+
+  defineKind('ComputedObject');
+  defineKind('Object');
+  defineKind('Element');
+  defineKind('Collection');
+  defineKind('Image', (x) => {
+    if (x === undefined) return { bands: [] };
+    if (x && x.__kind) return { bands: x.__bands };
+    if (typeof x === 'string') return { bands: null };
+    return { bands: imageBands([x]) };
+  });
+  defineKind('ImageCollection', (x) => (Array.isArray(x) && x.length > 0 && x[0] && x[0].__kind
+    ? { bands: x[0].__bands }
+    : { bands: null }));
+  defineKind('Feature', (geometry) => ({ geojson: geometry && geometry.__geojson }));
+  defineKind('FeatureCollection');
+  defineKind('Geometry', (geojson) => ({ geojson: isPlainObject(geojson) ? geojson : null }));
+  defineKind('Number', (v) => ({ value: typeof v === 'number' ? v : undefined }));
+  defineKind('String', (v) => ({ value: typeof v === 'string' ? v : undefined }));
+  defineKind('List', (v) => ({ value: Array.isArray(v) && v.every(x => !(x && x.__kind)) ? v : undefined }));
+  defineKind('Dictionary', (v) => ({ value: isPlainObject(v) && Object.values(v).every(x => !(x && x.__kind)) ? v : undefined }));
+  defineKind('Date');
+  defineKind('Filter');
+  defineKind('Reducer');
+  defineKind('Kernel');
+  OFFLINE_PERMISSIVE.filter(k => !constructors[k]).forEach(k => defineKind(k));
+  defineKind('Terrain');
+
+  return {
+    ...constructors,
+    call: (name, ...args) => makeNode('Object', `ee.call(${name})`, args),
+    apply: (name, namedArgs) => makeNode('Object', `ee.apply(${name})`, [namedArgs]),
+    initialize: (baseUrl, tileUrl, onSuccess) => { if (onSuccess) onSuccess(); },
+    reset: () => {},
+    // Every ee.data function of the installed client; none can reach the server
+    data: Object.fromEntries([...clientFunctionNames(ee.data)].map(name => [name, (...args) => {
+      report.valueRequests++;
+      const callback = args.find(arg => typeof arg === 'function');
+      if (callback) callback(null);
+      return null;
+    }])),
+    Serializer: {
+      toJSON: (obj) => JSON.stringify(obj),
+      toReadableJSON: (obj) => JSON.stringify(obj, null, 2),
+      encode: (obj) => JSON.parse(JSON.stringify(obj))
+    },
+    __offlineReport: report
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// SECTION 8: SANDBOX CREATION
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const EXPORT_LABELS = {
+  'image.toAsset':        'image to asset',
+  'image.toDrive':        'image to Drive',
+  'image.toCloudStorage': 'image to Cloud Storage',
+  'table.toAsset':        'table to asset',
+  'table.toDrive':        'table to Drive',
+  'video.toDrive':        'video to Drive'
+};
+
+// Export settings the sidecar can enforce, with the export types that accept each
+const IMAGE_EXPORTS = ['image.toAsset', 'image.toDrive', 'image.toCloudStorage', 'video.toDrive'];
+const EXPORT_OVERRIDE_FIELDS = {
+  scale:            IMAGE_EXPORTS,
+  crs:              IMAGE_EXPORTS,
+  crsTransform:     IMAGE_EXPORTS,
+  maxPixels:        IMAGE_EXPORTS,
+  region:           IMAGE_EXPORTS,
+  pyramidingPolicy: ['image.toAsset'],
+  fileFormat:       ['image.toDrive', 'image.toCloudStorage', 'table.toDrive']
+};
+
+// File formats each export type accepts; a sidecar fileFormat is only applied where it fits
+const EXPORT_FILE_FORMATS_BY_TYPE = {
+  'image.toDrive':        IMAGE_FILE_FORMATS,
+  'image.toCloudStorage': IMAGE_FILE_FORMATS,
+  'table.toDrive':        TABLE_FILE_FORMATS
+};
+
+// Earth Engine rejects exports that set both of these
+const EXPORT_FIELD_RIVALS = { scale: 'crsTransform', crsTransform: 'scale' };
+
+/**
+ * Collects the export settings a sidecar enforces. The region is the sidecar's
+ * regionCoordinates or, failing that, the study area. When both scale and
+ * crsTransform are given crsTransform is kept (see export-scale-and-transform).
+ */
+function sidecarExportSettings(sidecarData, eeApi) {
+  const ep = sidecarData.exportParameters || {};
+  const settings = {};
+
+  ['scale', 'crs', 'crsTransform', 'maxPixels', 'fileFormat'].forEach(key => {
+    if (ep[key] !== undefined) settings[key] = ep[key];
+  });
+  if (settings.crsTransform) delete settings.scale;
+  if (ep.pyramidingPolicy) settings.pyramidingPolicy = { '.default': ep.pyramidingPolicy };
+
+  const studyArea = sidecarData.inputParameters && sidecarData.inputParameters.defaultStudyArea;
+  if (ep.regionCoordinates) settings.region = eeApi.Geometry.Polygon(ep.regionCoordinates, null, false);
+  else if (studyArea) settings.region = studyArea;
+
+  return settings;
+}
+
+// ee objects (regions) compare by identity, plain values by content
+const isEEObject = (value) => Boolean(value) && typeof value.getInfo === 'function';
+const sameExportSetting = (a, b) => a === b || (!isEEObject(a) && !isEEObject(b) && JSON.stringify(a) === JSON.stringify(b));
+
+/**
+ * Applies sidecar export settings to one Export call's config and logs every
+ * field that changes. With the "caller-wins" policy a sidecar value only fills
+ * fields the caller left unset.
+ */
+function applyExportSettings(type, exportConfig, settings, policy, describe, logger) {
+  const applied = { ...exportConfig };
+  const name = exportConfig.description || exportConfig.assetId || 'unnamed';
+
+  for (const [field, types] of Object.entries(EXPORT_OVERRIDE_FIELDS)) {
+    if (settings[field] === undefined || !types.includes(type)) continue;
+
+    const sidecarValue = settings[field];
+    const callerValue = exportConfig[field];
+
+    if (field === 'fileFormat' && !EXPORT_FILE_FORMATS_BY_TYPE[type].includes(sidecarValue)) {
+      logger.warning(`Export ${name}: sidecar fileFormat ${describe(sidecarValue)} does not apply to ${EXPORT_LABELS[type]} exports, not applied`);
+      continue;
+    }
+    const rival = EXPORT_FIELD_RIVALS[field];
+    const callerRival = rival && settings[rival] === undefined ? exportConfig[rival] : undefined;
+
+    if (sameExportSetting(callerValue, sidecarValue)) continue;
+
+    if (policy === 'caller-wins' && (callerValue !== undefined || callerRival !== undefined)) {
+      const kept = callerValue !== undefined ? `${field} ${describe(callerValue)}` : `${rival} ${describe(callerRival)}`;
+      logger.info(`Export ${name}: kept caller ${kept}, sidecar ${field} ${describe(sidecarValue)} not applied (caller wins)`);
+      continue;
+    }
+
+    applied[field] = sidecarValue;
+    logger.info(callerValue !== undefined
+      ? `Export ${name}: ${field} ${describe(callerValue)} → ${describe(sidecarValue)} (sidecar wins)`
+      : `Export ${name}: ${field} set to ${describe(sidecarValue)} from sidecar`);
+
+    if (callerRival !== undefined) {
+      delete applied[rival];
+      logger.info(`Export ${name}: caller ${rival} ${describe(callerRival)} removed (sidecar sets ${field})`);
+    }
+  }
+
+  return applied;
+}
+
+/** Whether an asset exists; lookups that fail for other reasons than "not found" throw. */
+function assetExists(eeApi, assetId) {
+  return new Promise((resolve, reject) => {
+    eeApi.data.getAsset(assetId, (asset, err) => {
+      if (asset) resolve(true);
+      else if (!err || /not found|does not exist/i.test(err)) resolve(false);
+      else reject(new Error(`Could not check whether ${assetId} exists: ${err}`));
+    });
+  });
+}
+
+function deleteAsset(eeApi, assetId) {
+  return new Promise((resolve, reject) => {
+    eeApi.data.deleteAsset(assetId, (result, err) => (err ? reject(new Error(`Could not delete ${assetId}: ${err}`)) : resolve()));
+  });
+}
+
+/**
+ * Applies exportParameters.onExists when a toAsset export targets an existing
+ * asset: "fail" (default) throws, "skip" marks the record as skipped,
+ * "overwrite" deletes the old asset and "suffix" moves the export to the first
+ * free <assetId>_2, _3, ...
+ */
+async function resolveExistingAsset(record, policy, eeApi, logger) {
+  const assetId = record.config.assetId;
+  if (!assetId || !(await assetExists(eeApi, assetId))) return;
+
+  switch (policy) {
+    case 'skip':
+      record.skipped = true;
+      logger.warning(`Asset already exists, export skipped: ${assetId}`);
+      return;
+    case 'overwrite':
+      await deleteAsset(eeApi, assetId);
+      logger.warning(`Asset already existed and was deleted before export: ${assetId}`);
+      return;
+    case 'suffix': {
+      let n = 2;
+      while (await assetExists(eeApi, `${assetId}_${n}`)) n++;
+      record.config = { ...record.config, assetId: `${assetId}_${n}` };
+      logger.warning(`Asset already exists, exporting to ${record.config.assetId} instead`);
+      return;
+    }
+    default:
+      throw new Error(`Asset already exists: ${assetId} (set exportParameters.onExists to skip, overwrite or suffix)`);
+  }
+}
+
+/**
+ * Records that tile `experiment` exports to `assetId`. Throws when another tile
+ * of the same tiled run already does, as its export would be overwritten.
+ */
+function claimTileAsset(assetClaims, assetId, experiment) {
+  const owner = assetClaims.get(assetId);
+  if (owner && owner !== experiment) {
+    throw new Error(`${experiment} exports to ${assetId}, which tile ${owner} already exports to ` +
+      '(build the assetId from inputParams.exportParameters.assetId so each tile gets its own)');
+  }
+  assetClaims.set(assetId, experiment);
+}
+
+/**
+ * Builds the caller's global scope. `exportNames` holds the experiment's
+ * placeholder values for templated export asset IDs and descriptions.
+ * `assetClaims` (asset ID → experiment) is shared by the tiles of a tiled run.
+ */
+function createSandbox(sidecarData, moduleResolver, sharedShims, logger, exportNames = {}, assetClaims = null) {
+  // Submitted task tracking
+  const submittedTasks = [];
+
+  // task.start() acknowledgements still in flight (resolved, never rejected)
+  const pendingStarts = [];
+
+  // Exports an --offline run would have submitted
+  const plannedExports = [];
+
+  // print() arguments recorded under --evaluate-prints
+  const prints = [];
+
+  // Whether the script read exportParameters.includeBands (see reportBandManifest())
+  const bandUsage = trackIncludeBands(sidecarData.exportParameters);
+
+  const exportSettings = sidecarExportSettings(sidecarData, sharedShims.ee);
+  const overridePolicy = (sidecarData.exportParameters && sidecarData.exportParameters.overridePolicy) || 'sidecar-wins';
+  const onExists = (sidecarData.exportParameters && sidecarData.exportParameters.onExists) || 'fail';
+  const studyArea = sidecarData.inputParameters && sidecarData.inputParameters.defaultStudyArea;
+
+  // Readable form of an export setting for the override log (geometries can't be stringified)
+  const describeSetting = (value) => {
+    if (value === studyArea) return 'study area';
+    if (value && value.__kind) return describeOfflineGeometry(value);
+    if (isEEObject(value)) return 'geometry';
+    return JSON.stringify(value);
+  };
+
+  // Script exports container
+  const scriptExports = {};
+
+  // Submits an export without blocking the caller; the server acknowledgement is
+  // collected in pendingStarts so runExperiment() can await it after the script ends.
+  const submitExport = (type, callerConfig) => {
+    const exportConfig = expandExportNames(
+      applyExportSettings(type, callerConfig, exportSettings, overridePolicy, describeSetting, logger), exportNames);
+    const name = exportConfig.description || exportConfig.assetId || 'unnamed';
+
+    // Fails before anything is submitted, e.g. when the caller hard-codes the assetId
+    if (assetClaims && exportConfig.assetId) claimTileAsset(assetClaims, exportConfig.assetId, exportNames.experiment);
+
+    if (config.offline) {
+      const data = exportConfig.image || exportConfig.collection;
+      const planned = {
+        type,
+        description: exportConfig.description || null,
+        assetId: exportConfig.assetId || null,
+        region: exportConfig.region ? describeOfflineGeometry(exportConfig.region) : 'image footprint',
+        scale: exportConfig.scale !== undefined ? exportConfig.scale : null,
+        crs: exportConfig.crs || null,
+        maxPixels: exportConfig.maxPixels !== undefined ? exportConfig.maxPixels : null,
+        bands: data && data.__bands ? data.__bands : null
+      };
+      plannedExports.push(planned);
+      logger.event('info', `[OFFLINE] Would export ${EXPORT_LABELS[type]}: ${planned.assetId || name}`, { export: planned });
+      return { start: () => {}, id: null };
+    }
+
+    if (module.exports.dryRun) {
+      logger.info(`[DRY-RUN] Would export ${EXPORT_LABELS[type]}: ${exportConfig.assetId || exportConfig.description}`);
+      return { start: () => {} };
+    }
+
+    const [kind, destination] = type.split('.');
+    const record = { type, config: exportConfig, id: null };
+    submittedTasks.push(record);
+
+    // The task is only created once onExists has settled the final asset ID
+    pendingStarts.push((async () => {
+      try {
+        if (destination === 'toAsset') await resolveExistingAsset(record, onExists, sharedShims.ee, logger);
+        if (record.skipped) return record;
+
+        // Retries reuse the task, and so its ID: Earth Engine ignores a repeated start of the same task
+        const task = sharedShims.ee.batch.Export[kind][destination](record.config);
+        await withRetry(`export ${name}`, (attempt) => new Promise((resolve, reject) => {
+          record.attempts = attempt;
+          task.start(resolve, (err) => reject(new Error(String(err))));
+        }), logger, null, 'taskSubmission');
+        record.id = task.id;
+        logger.event('info', `Export started: ${name}`,
+          { task: { id: task.id, type, attempts: record.attempts, config: serializeExportConfig(record.config) } });
+      } catch (err) {
+        record.error = err.message;
+        logger.event('error', `Export failed to start: ${name} - ${record.error}`,
+          { task: { type, name, error: record.error, attempts: record.attempts || null } });
+      }
+      return record;
+    })());
+
+    return { start: () => {} };  // No-op if .start() called again
+  };
+
+  const sandbox = {
+    ee: sharedShims.ee,
+    require: moduleResolver,
+
+    // Provide exports for scripts that use them
+    exports: scriptExports,
+    module: { exports: scriptExports },
+
+    // THE SWITCH: This triggers Lab Mode in the Caller
+    inputParams: sidecarData,
+
+    // GEE print shim - logs to console unless --quiet flag is set;
+    // with --evaluate-prints the arguments are kept for reportPrints()
+    print: (...args) => {
+      if (config.evaluatePrints) return void prints.push(args);
+      if (config.quiet) return; // Suppress print output in quiet mode
+      const formatted = args.map(a =>
+        typeof a === 'object' ? JSON.stringify(a, null, 2) : String(a)
+      ).join(' ');
+      logger.gee(formatted);
+    },
+
+    console: {
+      log: (...args) => logger.info(...args),
       error: (...args) => logger.error(...args),
       warn: (...args) => logger.warning(...args),
       info: (...args) => logger.info(...args)
     },
 
-    // Use shared Map and ui shims
-    Map: sharedShims.Map,
-    ui: sharedShims.ui,
+    // Use shared Map, ui and (tracked) timer shims
+    Map: sharedShims.Map,
+    ui: sharedShims.ui,
+    ...sharedShims.timers,
+
+    // Export handling - AUTO-START: tasks are submitted immediately
+    // This mirrors GEE Code Editor behavior where clicking Run starts the task
+    Export: {
+      image: {
+        toAsset:        (config) => submitExport('image.toAsset', config),
+        toDrive:        (config) => submitExport('image.toDrive', config),
+        toCloudStorage: (config) => submitExport('image.toCloudStorage', config)
+      },
+      table: {
+        toAsset: (config) => submitExport('table.toAsset', config),
+        toDrive: (config) => submitExport('table.toDrive', config)
+      },
+      video: {
+        toDrive: (config) => submitExport('video.toDrive', config)
+      }
+    },
+
+    // Provide access to submitted tasks
+    __submittedTasks: submittedTasks,
+    __pendingStarts: pendingStarts,
+    __prints: prints,
+    __plannedExports: plannedExports,
+    __bandUsage: bandUsage
+  };
+
+  return sandbox;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// SECTION 9: EXPORT BAND MANIFEST
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Turns `exportParameters.includeBands` into a getter that records whether it
+ * is read, so the band manifest is only checked for callers that select their
+ * export bands from it. Returns the { read } flag.
+ */
+function trackIncludeBands(exportParameters) {
+  const usage = { read: false };
+  if (!isPlainObject(exportParameters) || exportParameters.includeBands === undefined) return usage;
+
+  let includeBands = exportParameters.includeBands;
+  Object.defineProperty(exportParameters, 'includeBands', {
+    enumerable: true,
+    configurable: true,
+    get() {
+      usage.read = true;
+      return includeBands;
+    },
+    set(value) {
+      includeBands = value;
+    }
+  });
+  return usage;
+}
+
+/**
+ * Works out which bands the caller puts into its export image, in order, from
+ * `exportParameters.includeBands` and EXPORT_BAND_CATALOG. With `scope` (the
+ * caller's sandbox after execution) conditional bands whose source is unset are
+ * reported as dropped; without it their availability is left unchecked.
+ */
+function buildBandManifest(exportParameters, scope) {
+  const includeBands = (exportParameters && exportParameters.includeBands) || {};
+  const bands = [];
+  const dropped = [];
+  const disabled = [];
+
+  for (const [key, entry] of Object.entries(includeBands)) {
+    if (!entry || !entry.enabled) disabled.push(key);
+    else if (!EXPORT_BAND_CATALOG[key]) {
+      dropped.push({ key, bands: [], reason: 'not produced by the caller' });
+    }
+  }
+
+  for (const [key, band] of Object.entries(EXPORT_BAND_CATALOG)) {
+    const entry = includeBands[key];
+    if (!entry || !entry.enabled) continue;
+
+    const missing = scope ? band.source.filter(p => !getByPath(scope, p)) : [];
+    if (band.conditional && missing.length > 0) {
+      dropped.push({ key, bands: band.bands, reason: `${missing.join(', ')} not set by the modules` });
+      continue;
+    }
+
+    band.bands.forEach(name => bands.push({
+      name,
+      key,
+      source: band.source.join(', '),
+      description: entry.comment || null,
+      available: band.conditional && !scope ? null : true
+    }));
+  }
+
+  return { bands, dropped, disabled };
+}
+
+/**
+ * Builds the band manifest for every image export, prints it and writes it as
+ * `<log>.bands.json`. `exports` are the exports the caller submitted (or, in a
+ * dry run, the one the sidecar configures); `scope` is as in buildBandManifest().
+ * After execution the manifest is skipped when the script never read
+ * exportParameters.includeBands, since its bands then say nothing about the export.
+ */
+function reportBandManifest(exportParameters, exports, scope, logger) {
+  const imageExports = exports.filter(e => !e.type || e.type.startsWith('image.'));
+  if (imageExports.length === 0) return null;
+
+  // Checked before buildBandManifest(), which reads includeBands itself
+  if (scope && !scope.__bandUsage.read) {
+    if (config.verbose) logger.info('Export band manifest skipped: the caller does not read exportParameters.includeBands');
+    return null;
+  }
+
+  const { bands, dropped, disabled } = buildBandManifest(exportParameters, scope);
+  const manifest = {
+    availabilityChecked: Boolean(scope),
+    exports: imageExports.map(e => ({
+      type: e.type || null,
+      description: e.description || null,
+      assetId: e.assetId || null,
+      bands,
+      dropped,
+      disabled
+    }))
+  };
+
+  logger.section('Export Band Manifest');
+  bands.forEach((b, i) => {
+    const unchecked = b.available === null ? Style.yellow(' (availability unchecked)') : '';
+    const description = b.description ? Style.gray(` - ${b.description}`) : '';
+    logger.item(`  ${String(i + 1).padStart(2)}. ${Style.cyan(b.name)} ← ${b.source}${unchecked}${description}`, { band: b });
+  });
+  if (bands.length === 0) logger.warning('No bands are enabled for export');
+
+  dropped.forEach(d => logger.event('warning', `Dropped ${d.key}${d.bands.length ? ` (${d.bands.join(', ')})` : ''}: ${d.reason}`, { dropped: d }));
+  if (disabled.length > 0) logger.info(`Disabled in sidecar: ${disabled.join(', ')}`);
+  if (!scope && bands.some(b => b.available === null)) {
+    logger.info('Use --offline to check conditional bands against the modules');
+  }
+
+  // The offline stand-in tracks band names, so the manifest can be checked against what the caller really built
+  for (const e of imageExports) {
+    if (!e.bands) continue;
+    const expected = bands.map(b => b.name);
+    if (e.bands.join(',') !== expected.join(',')) {
+      logger.warning(`Export ${e.assetId || e.description} has bands [${e.bands.join(', ')}], manifest expected [${expected.join(', ')}]`);
+    }
+  }
+
+  if (logger.logFile) {
+    const manifestPath = logger.logFile.replace(/\.log$/, '.bands.json');
+    fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2));
+    logger.info(`Band manifest written to: ${manifestPath}`);
+  }
+
+  return manifest;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// SECTION 10: MAP LAYER MANIFEST
+// ═══════════════════════════════════════════════════════════════════════════════
+//
+// The Map shim records every addLayer()/centerObject() call. The layers are
+// written to `<log>.layers.json`, and --layer-previews=thumbnails|exports turns
+// the image layers into PNG thumbnails or extra Drive exports, as a headless
+// stand-in for looking at the Code Editor map.
+
+const THUMBNAIL_TIMEOUT_MS = 120000;
+
+// Arguments ee.Image.visualize() accepts; other vis params are Map-only
+const VISUALIZE_KEYS = ['bands', 'gain', 'bias', 'min', 'max', 'gamma', 'palette', 'opacity', 'forceRgbOutput'];
+
+const layerSlug = (name) => String(name).trim().replace(/[^A-Za-z0-9]+/g, '_').replace(/^_+|_+$/g, '').slice(0, 40);
+
+const describeLayerObject = (value) => (isEEObject(value) || (value && value.__kind) ? describeEEValue(value) : value);
+
+function buildLayerManifest(mapState) {
+  const center = mapState.center;
+  return {
+    center: center && ('object' in center
+      ? { object: describeLayerObject(center.object), zoom: center.zoom }
+      : center),
+    layers: mapState.layers.map(l => ({
+      index: l.index,
+      name: l.name,
+      shown: l.shown,
+      opacity: l.opacity,
+      visParams: l.visParams,
+      object: describeLayerObject(l.object)
+    }))
+  };
+}
+
+/** Logs the recorded layers and writes `<log>.layers.json`. */
+function reportLayerManifest(mapState, logger) {
+  if (mapState.layers.length === 0 && !mapState.center) return null;
+
+  const manifest = buildLayerManifest(mapState);
+  logger.section('Map Layer Manifest');
+  manifest.layers.forEach(l => {
+    const vis = Object.keys(l.visParams).length ? Style.gray(` ${JSON.stringify(l.visParams)}`) : '';
+    const state = l.shown ? 'shown' : 'hidden';
+    logger.item(`  ${String(l.index).padStart(2)}. ${Style.cyan(l.name.trim())} ${Style.gray(`[${(l.object && l.object.ee) || 'value'}, ${state}, opacity ${l.opacity}]`)}${vis}`,
+      { layer: l });
+  });
+  if (manifest.center) {
+    const where = manifest.center.object
+      ? (manifest.center.object.ee || 'object')
+      : `${manifest.center.lon}, ${manifest.center.lat}`;
+    logger.event('info', `Map centered on ${where}${manifest.center.zoom !== null ? ` at zoom ${manifest.center.zoom}` : ''}`,
+      { center: manifest.center });
+  }
+
+  if (logger.logFile) {
+    const manifestPath = logger.logFile.replace(/\.log$/, '.layers.json');
+    fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2));
+    logger.info(`Layer manifest written to: ${manifestPath}`);
+  }
+
+  return manifest;
+}
+
+// Image the Map would draw for a layer, or null for vectors and plain values
+function layerImage(layer, eeApi) {
+  const kind = describeLayerObject(layer.object);
+  const vis = Object.fromEntries(Object.entries(layer.visParams).filter(([key]) => VISUALIZE_KEYS.includes(key)));
+  if (kind && kind.ee === 'Image') return eeApi.Image(layer.object).visualize(vis);
+  if (kind && kind.ee === 'ImageCollection') return eeApi.ImageCollection(layer.object).mosaic().visualize(vis);
+  return null;
+}
+
+function requestThumbnail(image, params) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`timed out after ${THUMBNAIL_TIMEOUT_MS / 1000}s`)), THUMBNAIL_TIMEOUT_MS);
+    image.getThumbURL(params, (url, err) => {
+      clearTimeout(timer);
+      if (err) reject(new Error(String(err)));
+      else resolve(url);
+    });
+  }).then(url => downloadBuffer(url, THUMBNAIL_TIMEOUT_MS));
+}
+
+/** GETs a URL into a Buffer, failing on non-200 responses or after `timeoutMs`. */
+function downloadBuffer(url, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    const request = https.get(url, (response) => {
+      if (response.statusCode !== 200) {
+        response.resume();
+        reject(new Error(`thumbnail request failed: HTTP ${response.statusCode}`));
+        return;
+      }
+      const chunks = [];
+      response.on('data', chunk => chunks.push(chunk));
+      response.on('end', () => resolve(Buffer.concat(chunks)));
+      response.on('error', reject);
+    });
+    request.setTimeout(timeoutMs, () => request.destroy(new Error(`thumbnail download timed out after ${timeoutMs / 1000}s`)));
+    request.on('error', reject);
+  });
+}
+
+/**
+ * Turns each image layer into a preview: a PNG next to the log file
+ * (`<log>.layers/NN-name.png`) or an Export.image.toDrive task submitted
+ * through the sandbox, so sidecar export settings and --wait apply to it.
+ * `region` bounds the previews (the export region, else the centered object).
+ */
+async function requestLayerPreviews(mapState, sandbox, region, eeApi, logger) {
+  const mode = config.layerPreviews;
+  region = region || (mapState.center && mapState.center.object) || null;
+
+  logger.section(`Layer Previews (${mode})`);
+  if (!region) {
+    logger.warning('No export region or centered object to bound the previews; skipped');
+    return [];
+  }
+
+  const previewDir = logger.logFile ? logger.logFile.replace(/\.log$/, '.layers') : null;
+  const previews = [];
+
+  for (const layer of mapState.layers) {
+    const label = `${String(layer.index).padStart(2, '0')}-${layerSlug(layer.name) || 'layer'}`;
+    const image = layerImage(layer, eeApi);
+    if (!image) {
+      logger.info(`${layer.name.trim()}: not an image layer, no preview`);
+      continue;
+    }
+
+    if (mode === 'exports') {
+      const description = `${layerSlug(logger.experiment || 'layer')}_${label}`.replace(/-/g, '_').slice(0, 100);
+      sandbox.Export.image.toDrive({ image, description, fileNamePrefix: description, region });
+      previews.push({ layer: layer.index, export: description });
+    } else if (config.offline) {
+      logger.info(`[OFFLINE] Would request thumbnail: ${label}.png`);
+      previews.push({ layer: layer.index, thumbnail: null });
+    } else if (!previewDir) {
+      logger.warning('Thumbnails are saved next to the log file; skipped with --no-log');
+      break;
+    } else {
+      try {
+        const png = await requestThumbnail(image, { region, dimensions: 512, format: 'png' });
+        fs.mkdirSync(previewDir, { recursive: true });
+        const file = path.join(previewDir, `${label}.png`);
+        fs.writeFileSync(file, png);
+        logger.event('success', `Thumbnail saved: ${file}`, { layer: layer.index, file });
+        previews.push({ layer: layer.index, thumbnail: file });
+      } catch (err) {
+        logger.event('warning', `Thumbnail failed for ${layer.name.trim()}: ${err.message}`, { layer: layer.index, error: err.message });
+        previews.push({ layer: layer.index, error: err.message });
+      }
+    }
+  }
+
+  return previews;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// SECTION 11: CHART MANIFEST
+// ═══════════════════════════════════════════════════════════════════════════════
+//
+// The ui.Chart shims record each chart's type, arguments and setOptions() /
+// setChartType() calls. The specs are written to `<log>.charts.json`; with
+// --render-charts=html|vega-lite the chart data is evaluated and every chart is
+// written to `<log>.charts/` as a standalone HTML page or Vega-Lite spec. The
+// HTML pages embed an SVG rendered here with vega, so they need no scripts or
+// network access to display.
+
+const CHART_TIMEOUT_MS = 120000;
+
+// Positional argument names of each ui.Chart factory, as documented for the Code Editor
+const CHART_ARGUMENTS = {
+  'image.series':          ['imageCollection', 'region', 'reducer', 'scale', 'xProperty'],
+  'image.byRegion':        ['image', 'regions', 'reducer', 'scale', 'xProperty'],
+  'image.doySeries':       ['imageCollection', 'region', 'regionReducer', 'scale', 'yearReducer', 'startDay', 'endDay'],
+  'image.doySeriesByYear': ['imageCollection', 'bandName', 'region', 'regionReducer', 'scale', 'sameDayReducer', 'startDay', 'endDay'],
+  'image.histogram':       ['image', 'region', 'scale', 'maxBuckets', 'minBucketWidth', 'maxRaw', 'maxPixels'],
+  'feature.byFeature':     ['features', 'xProperty', 'yProperties'],
+  'feature.byProperty':    ['features', 'xProperties', 'seriesProperty'],
+  'feature.groups':        ['features', 'xProperty', 'yProperty', 'seriesProperty'],
+  'feature.histogram':     ['features', 'property', 'maxBuckets', 'minBucketWidth', 'maxRaw'],
+  'array.values':          ['array', 'axis', 'xLabels']
+};
+
+// Google chart type the Code Editor uses when setChartType() is not called
+const DEFAULT_CHART_TYPES = {
+  'image.series': 'LineChart',
+  'image.byRegion': 'ColumnChart',
+  'feature.byFeature': 'ColumnChart',
+  'feature.byProperty': 'ColumnChart',
+  'feature.groups': 'ColumnChart',
+  'array.values': 'ScatterChart'
+};
+
+const VEGA_MARKS = { LineChart: 'line', ScatterChart: 'point', ColumnChart: 'bar', BarChart: 'bar', AreaChart: 'area' };
+
+// Algorithm behind an ee object (e.g. "Reducer.mean"), when it is known locally
+function eeOperation(value) {
+  if (value.__op) return value.__op;
+  try {
+    return value.func && typeof value.func.getSignature === 'function' ? value.func.getSignature().name : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+function describeChartArgument(value) {
+  if (!isEEObject(value)) return printTemplate(value, []);
+  const op = eeOperation(value);
+  return { ...describeEEValue(value), ...(op && { op }) };
+}
+
+function buildChartManifest(charts) {
+  return charts.map(c => ({
+    index: c.index,
+    type: c.type,
+    chartType: c.chartType || DEFAULT_CHART_TYPES[c.type] || null,
+    args: Object.fromEntries(Object.entries(c.args).map(([key, value]) => [key, describeChartArgument(value)])),
+    options: printTemplate(c.options, []),
+    axes: { x: c.options.hAxis || null, y: c.options.vAxis || null },
+    seriesNames: c.seriesNames,
+    calls: c.calls.map(call => ({ method: call.method, args: printTemplate(call.args, []) }))
+  }));
+}
+
+// --- Chart data (long format rows: { x, series, y }) ---
+
+const numericEntries = (properties, skip) =>
+  Object.entries(properties).filter(([key, value]) => !skip.includes(key) && typeof value === 'number');
+
+/**
+ * Evaluates the data behind one chart. Returns null for chart types whose
+ * server-side aggregation is not reproduced here (doy series, histograms).
+ */
+async function evaluateChartRows(chart, eeApi) {
+  const a = chart.args;
+  const evaluate = (value) => evaluateWithTimeout(value, CHART_TIMEOUT_MS);
+
+  switch (chart.type) {
+    case 'image.series': {
+      const xProperty = a.xProperty || 'system:time_start';
+      const reducer = a.reducer || eeApi.Reducer.mean();
+      const table = await evaluate(eeApi.ImageCollection(a.imageCollection).map(image =>
+        eeApi.Feature(null, image.reduceRegion({ reducer, geometry: a.region, scale: a.scale }))
+          .set('__x', image.get(xProperty))));
+      return table.features.flatMap(f => numericEntries(f.properties, ['__x']).map(([series, y]) =>
+        ({ x: f.properties.__x, series, y })));
+    }
+    case 'image.byRegion': {
+      const xProperty = a.xProperty || 'system:index';
+      const image = eeApi.Image(a.image);
+      const { table, bands } = await evaluate(eeApi.Dictionary({
+        table: image.reduceRegions({ collection: eeApi.FeatureCollection(a.regions), reducer: a.reducer || eeApi.Reducer.mean(), scale: a.scale }),
+        bands: image.bandNames()
+      }));
+      return table.features.flatMap(f => {
+        const x = xProperty === 'system:index' ? f.id : f.properties[xProperty];
+        // A single-band reduction is named after the reducer output ("mean"), not the band
+        const values = bands.length === 1 && !(bands[0] in f.properties)
+          ? numericEntries(f.properties, [xProperty]).slice(-1).map(([, y]) => [bands[0], y])
+          : numericEntries(f.properties, [xProperty]).filter(([key]) => bands.includes(key));
+        return values.map(([series, y]) => ({ x, series, y }));
+      });
+    }
+    case 'feature.byFeature': {
+      const table = await evaluate(eeApi.FeatureCollection(a.features));
+      const xProperty = a.xProperty || 'system:index';
+      const yProperties = a.yProperties ? [].concat(a.yProperties) : null;
+      return table.features.flatMap(f => numericEntries(f.properties, [xProperty])
+        .filter(([key]) => !yProperties || yProperties.includes(key))
+        .map(([series, y]) => ({ x: xProperty === 'system:index' ? f.id : f.properties[xProperty], series, y })));
+    }
+    case 'feature.byProperty': {
+      const table = await evaluate(eeApi.FeatureCollection(a.features));
+      // xProperties is a list of property names or a { property: label } map
+      const labels = Array.isArray(a.xProperties) ? Object.fromEntries(a.xProperties.map(p => [p, p]))
+        : a.xProperties || null;
+      return table.features.flatMap(f => numericEntries(f.properties, [])
+        .filter(([key]) => !labels || key in labels)
+        .map(([key, y]) => ({ x: labels ? labels[key] : key, series: a.seriesProperty ? f.properties[a.seriesProperty] : f.id, y })));
+    }
+    case 'feature.groups': {
+      const table = await evaluate(eeApi.FeatureCollection(a.features));
+      return table.features.map(f => ({
+        x: f.properties[a.xProperty], series: f.properties[a.seriesProperty], y: f.properties[a.yProperty]
+      }));
+    }
+    case 'array.values': {
+      const values = await evaluate(eeApi.Array(a.array));
+      const labels = isEEObject(a.xLabels) ? await evaluate(a.xLabels) : a.xLabels;
+      // Values run along `axis`; with two dimensions, each position on the other axis is a series
+      const matrix = values.map(v => [].concat(v));
+      const rows = (a.axis || 0) === 0 ? matrix : matrix[0].map((_, j) => matrix.map(row => row[j]));
+      return rows.flatMap((row, i) => row.map((y, j) => ({
+        x: labels ? labels[i] : i,
+        series: (chart.seriesNames && chart.seriesNames[j]) || `Series ${j + 1}`,
+        y
+      })));
+    }
+    default:
+      return null;
+  }
+}
+
+function vegaLiteSpec(chart, rows) {
+  const options = chart.options;
+  const temporal = chart.type === 'image.series' && !chart.args.xProperty;
+  const values = temporal ? rows.map(r => ({ ...r, x: new Date(r.x).toISOString() })) : rows;
+  const xType = temporal ? 'temporal' : rows.every(r => typeof r.x === 'number') ? 'quantitative' : 'ordinal';
+
+  return {
+    $schema: 'https://vega.github.io/schema/vega-lite/v5.json',
+    title: options.title || `${chart.type} #${chart.index}`,
+    width: 640,
+    height: 360,
+    data: { values },
+    mark: { type: VEGA_MARKS[chart.chartType || DEFAULT_CHART_TYPES[chart.type]] || 'line', tooltip: true },
+    encoding: {
+      x: { field: 'x', type: xType, title: (options.hAxis && options.hAxis.title) || null },
+      y: { field: 'y', type: 'quantitative', title: (options.vAxis && options.vAxis.title) || null },
+      color: { field: 'series', type: 'nominal' }
+    }
+  };
+}
+
+/** Renders a Vega-Lite spec to SVG and wraps it in a self-contained HTML page. */
+async function chartHtml(spec) {
+  // Loaded on first use; only --render-charts=html needs them
+  const vega = require('vega');
+  const vegaLite = require('vega-lite');
+
+  const view = new vega.View(vega.parse(vegaLite.compile(spec).spec), { renderer: 'none' });
+  const svg = await view.toSVG();
+  view.finalize();
+
+  const title = escapeHtml(spec.title);
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>${title}</title>
+</head>
+<body>
+${svg}
+</body>
+</html>
+`;
+}
+
+/**
+ * Logs the recorded charts and writes `<log>.charts.json`. With
+ * --render-charts (live runs only) each chart's data is evaluated and the
+ * chart is written to `<log>.charts/NN-type.html` or `.vl.json`.
+ */
+async function reportCharts(charts, eeApi, logger) {
+  if (charts.length === 0) return null;
+
+  const manifest = buildChartManifest(charts);
+  logger.section('Chart Manifest');
+  manifest.forEach(c => {
+    const title = c.options.title ? ` "${c.options.title}"` : '';
+    logger.item(`  ${String(c.index).padStart(2)}. ${Style.cyan(`ui.Chart.${c.type}`)}${title} ${Style.gray(`[${c.chartType || 'default chart type'}]`)}`,
+      { chart: c });
+  });
+
+  const outputDir = logger.logFile ? logger.logFile.replace(/\.log$/, '.charts') : null;
+  if (config.renderCharts && config.offline) {
+    logger.info('Chart data cannot be evaluated offline; only the specifications are recorded');
+  } else if (config.renderCharts && !outputDir) {
+    logger.warning('Charts are rendered next to the log file; skipped with --no-log');
+  } else if (config.renderCharts) {
+    for (const [i, chart] of charts.entries()) {
+      const entry = manifest[i];
+      try {
+        const rows = await evaluateChartRows(chart, eeApi);
+        if (!rows) {
+          entry.rendered = { error: `data evaluation is not supported for ui.Chart.${chart.type}` };
+          logger.info(`Chart ${chart.index}: ${entry.rendered.error}`);
+          continue;
+        }
+        const spec = vegaLiteSpec(chart, rows);
+        const base = path.join(outputDir, `${String(chart.index).padStart(2, '0')}-${chart.type.replace('.', '-')}`);
+        const file = config.renderCharts === 'html' ? `${base}.html` : `${base}.vl.json`;
+        fs.mkdirSync(outputDir, { recursive: true });
+        fs.writeFileSync(file, config.renderCharts === 'html' ? await chartHtml(spec) : JSON.stringify(spec, null, 2));
+        entry.rendered = { file, rows: rows.length };
+        logger.event('success', `Chart written: ${file}`, { chart: chart.index, file, rows: rows.length });
+      } catch (err) {
+        entry.rendered = { error: err.message };
+        logger.event('warning', `Chart ${chart.index} could not be rendered: ${err.message}`, { chart: chart.index, error: err.message });
+      }
+    }
+  }
+
+  if (outputDir) {
+    const manifestPath = logger.logFile.replace(/\.log$/, '.charts.json');
+    fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2));
+    logger.info(`Chart manifest written to: ${manifestPath}`);
+  }
+
+  return manifest;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// SECTION 12: RUN MANIFEST
+// ═══════════════════════════════════════════════════════════════════════════════
+//
+// Every runExperiment() call leaves a JSON provenance record in
+// <runs-dir>/<experiment>/<timestamp>.json, so an exported asset can be traced
+// back to the exact sidecar, caller and module files that produced it.
+
+const RUNNER_VERSION = require('./package.json').version;
+const EE_VERSION = require('@google/earthengine/package.json').version;
+
+function createRunManifest(experimentName, userScript, sidecarPath) {
+  return {
+    experiment: experimentName,
+    mode: config.offline ? 'offline' : config.dryRun ? 'dry-run' : 'live',
+    status: null,
+    error: null,
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    durationMs: null,
+    runner: { version: RUNNER_VERSION, node: process.version },
+    earthengine: { version: EE_VERSION },
+    serviceAccount: null,
+    caller: { path: path.resolve(userScript), sha256: null },
+    sidecar: { path: path.resolve(sidecarPath), sha256: null, resolved: null },
+    modules: [],
+    validation: [],
+    retries: null,
+    tasks: [],
+    logFile: null
+  };
+}
+
+/** JSON-safe stand-in for an ee object in an export config (the graph itself is not recorded). */
+function describeEEValue(value) {
+  if (value.__kind) {
+    return {
+      ee: value.__kind,
+      ...(value.__geojson && { geojson: value.__geojson }),
+      ...(value.__bands && { bands: value.__bands })
+    };
+  }
+
+  const described = { ee: typeof value.name === 'function' ? value.name() : 'ComputedObject' };
+  try {
+    // Literal geometries (e.g. the study area) convert client-side
+    if (typeof value.toGeoJSON === 'function') described.geojson = value.toGeoJSON();
+  } catch (e) {
+    // computed geometry; only the type is known locally
+  }
+  return described;
+}
+
+function serializeExportConfig(exportConfig) {
+  return Object.fromEntries(Object.entries(exportConfig).map(([key, value]) =>
+    [key, isEEObject(value) ? describeEEValue(value) : value]));
+}
+
+/**
+ * Completes the manifest from the experiment's result and whatever the run got
+ * as far as creating (`run.moduleResolver`, `run.sandbox`), then writes it.
+ * Returns the manifest path, or null if it could not be written.
+ */
+function writeRunManifest(manifest, result, run, logger) {
+  const finished = new Date();
+  manifest.status = result.success ? 'succeeded' : 'failed';
+  manifest.error = result.error || null;
+  manifest.finishedAt = finished.toISOString();
+  manifest.durationMs = finished - new Date(manifest.startedAt);
+  manifest.logFile = logger.logFile || null;
+  manifest.retries = run.retries || null;
+
+  if (run.moduleResolver) {
+    manifest.modules = [...run.moduleResolver.__loadedModules.values()];
+  }
+
+  if (run.sandbox && config.offline) {
+    manifest.tasks = run.sandbox.__plannedExports.map(e => ({ id: null, type: e.type, state: 'PLANNED', error: null, config: e }));
+  } else if (run.sandbox) {
+    manifest.tasks = run.sandbox.__submittedTasks.map((t, i) => ({
+      id: t.id,
+      type: t.type,
+      state: (result.tasks && result.tasks[i]) ? result.tasks[i].state : null,
+      error: t.error || null,
+      attempts: t.attempts || null,
+      config: serializeExportConfig(t.config)
+    }));
+  }
+
+  const manifestPath = path.join(config.runsDir, manifest.experiment, `${runTimestamp(new Date(manifest.startedAt))}.json`);
+  try {
+    fs.mkdirSync(path.dirname(manifestPath), { recursive: true });
+    fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2));
+  } catch (e) {
+    logger.warning(`Could not write run manifest ${manifestPath}: ${e.message}`);
+    return null;
+  }
+
+  logger.info(`Run manifest written to: ${manifestPath}`);
+  return manifestPath;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// SECTION 13: PRINT EVALUATION
+// ═══════════════════════════════════════════════════════════════════════════════
+//
+// With --evaluate-prints, print() arguments are recorded instead of being dumped
+// as serialized expression graphs. Once the caller has run, every ee object in
+// them is resolved with evaluate() and the values are written, in print order,
+// to `<log>.prints.json`; the console only gets a one-line summary per value.
+
+/**
+ * JSON-safe copy of a printed value. Each ee object becomes a slot (its
+ * describeEEValue() stand-in) that is pushed onto `leaves` together with the
+ * object and its path, so evaluation can fill the slot in place.
+ */
+function printTemplate(value, leaves, keyPath = '', seen = new Set()) {
+  if (isEEObject(value)) {
+    const slot = describeEEValue(value);
+    leaves.push({ slot, value, path: keyPath });
+    return slot;
+  }
+  if (typeof value === 'function') return '[Function]';
+  if (value === undefined) return null;
+  if (!value || typeof value !== 'object') return value;
+  if (seen.has(value)) return '[Circular]';
+  seen.add(value);
+
+  const childPath = (key) => (keyPath ? `${keyPath}.${key}` : String(key));
+  return Array.isArray(value)
+    ? value.map((item, i) => printTemplate(item, leaves, childPath(i), seen))
+    : Object.fromEntries(Object.entries(value).map(([key, item]) =>
+        [key, printTemplate(item, leaves, childPath(key), seen)]));
+}
+
+function evaluateWithTimeout(eeObject, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`timed out after ${timeoutMs / 1000}s`)), timeoutMs);
+    try {
+      eeObject.evaluate((result, err) => {
+        clearTimeout(timer);
+        if (err) reject(new Error(String(err)));
+        else resolve(result);
+      });
+    } catch (err) {
+      clearTimeout(timer);
+      reject(err);
+    }
+  });
+}
+
+const listPreview = (items, max = 5) =>
+  items.slice(0, max).join(', ') + (items.length > max ? `, … (+${items.length - max})` : '');
+
+/** One-line summary of an evaluated (or, offline, described) ee value. */
+function summarizePrintValue(slot) {
+  if (slot.error) return `${slot.ee} (not evaluated: ${slot.error})`;
+
+  const value = slot.value;
+  if (value === undefined) {
+    if (slot.geojson) return `${slot.ee} (${slot.geojson.type})`;
+    return slot.bands ? `${slot.ee} (${slot.bands.length} band(s): ${listPreview(slot.bands)})` : slot.ee;
+  }
+  if (value && value.type === 'Image' && Array.isArray(value.bands)) {
+    return `Image (${value.bands.length} band(s): ${listPreview(value.bands.map(b => b.id))})`;
+  }
+  if (value && Array.isArray(value.features)) {
+    return `${value.type || slot.ee} (${value.features.length} element(s))`;
+  }
+  if (value && typeof value.type === 'string' && value.coordinates) return `${slot.ee} (${value.type})`;
+  if (Array.isArray(value)) return `${slot.ee} (${value.length} item(s))`;
+  if (value && typeof value === 'object') return `${slot.ee} (${Object.keys(value).length} key(s))`;
+
+  const text = JSON.stringify(value);
+  return `${slot.ee}: ${text.length > 80 ? `${text.slice(0, 77)}...` : text}`;
+}
+
+/**
+ * Resolves the ee objects in the recorded print() calls, logs a summary of
+ * each print and writes `<log>.prints.json`. Values larger than
+ * --print-max-bytes are kept as their summary only. Offline there is nothing to
+ * evaluate, so slots keep the stand-in's kind and tracked bands.
+ */
+async function reportPrints(prints, logger) {
+  if (prints.length === 0) return null;
+
+  const timeoutMs = config.printTimeout * 1000;
+  const leavesByPrint = prints.map(() => []);
+  const entries = prints.map((args, i) => ({
+    index: i + 1,
+    values: args.map((arg, j) => printTemplate(arg, leavesByPrint[i], `${j}`))
+  }));
+  const leaves = leavesByPrint.flat();
+
+  logger.section('Print Output');
+  if (!config.offline && leaves.length > 0) {
+    logger.info(`Evaluating ${leaves.length} ee value(s) from ${prints.length} print() call(s)`);
+  }
+
+  await runWithConcurrency(leaves, 4, async ({ slot, value }) => {
+    if (config.offline) return;
+    try {
+      const result = await evaluateWithTimeout(value, timeoutMs);
+      const bytes = Buffer.byteLength(JSON.stringify(result) || '');
+      slot.value = result;
+      if (bytes > config.printMaxBytes) {
+        slot.summary = summarizePrintValue(slot);
+        delete slot.value;
+        Object.assign(slot, { truncated: true, bytes });
+        return;
+      }
+    } catch (err) {
+      slot.error = err.message;
+    }
+    slot.summary = summarizePrintValue(slot);
+  });
+  leaves.forEach(({ slot }) => { if (!slot.summary) slot.summary = summarizePrintValue(slot); });
+
+  if (!config.quiet) {
+    entries.forEach((entry, i) => {
+      const parts = entry.values.map(v =>
+        (v && typeof v === 'object' && v.ee) ? v.summary
+          : Array.isArray(v) ? `List (${v.length} item(s))`
+          : (v && typeof v === 'object') ? `Object (${Object.keys(v).length} key(s))`
+          : String(v));
+      logger.gee(`#${entry.index} ${parts.join(' ')}`);
+
+      // ee values nested in printed objects get a line each
+      leavesByPrint[i].filter(l => l.path.includes('.')).forEach(l => logger.item(`    ${Style.gray(l.path.slice(l.path.indexOf('.') + 1))}: ${l.slot.summary}`,
+          { print: entry.index, path: l.path, summary: l.slot.summary }));
+    });
+  }
+
+  const failed = leaves.filter(l => l.slot.error).length;
+  const truncated = leaves.filter(l => l.slot.truncated).length;
+  if (failed > 0) logger.warning(`${failed} printed ee value(s) could not be evaluated`);
+  if (truncated > 0) logger.warning(`${truncated} printed ee value(s) exceeded ${config.printMaxBytes} bytes; only their summary was kept`);
+
+  if (logger.logFile) {
+    const printsPath = logger.logFile.replace(/\.log$/, '.prints.json');
+    fs.writeFileSync(printsPath, JSON.stringify({
+      evaluated: !config.offline,
+      timeoutMs,
+      maxBytes: config.printMaxBytes,
+      prints: entries
+    }, null, 2));
+    logger.info(`Print values written to: ${printsPath}`);
+  }
+
+  return entries;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// SECTION 14: EXPERIMENT EXECUTION
+// ═══════════════════════════════════════════════════════════════════════════════
+
+// ─── Retry policy ───────────────────────────────────────────────────────────────
+// Authentication, initialization and task submission are retried when the
+// error looks transient (rate limiting, 5xx, network failures), with
+// exponential backoff and jitter. Anything else fails on the first attempt.
+
+const PERMANENT_ERROR_PATTERN = /\b(400|401|403|404)\b|permission|not found|invalid|unauthori[sz]ed|forbidden|not registered|already exists/i;
+const TRANSIENT_ERROR_PATTERN = new RegExp([
+  '\\b(429|500|502|503|504)\\b',
+  'too many|rate.?limit|resource[_ ]exhausted|capacity exceeded',
+  'unavailable|backend error|internal error|deadline exceeded|timed? ?out',
+  'ECONNRESET|ECONNREFUSED|ETIMEDOUT|EAI_AGAIN|ENETUNREACH|EPIPE|socket hang up|network'
+].join('|'), 'i');
+
+/** 'transient' when retrying may help, 'permanent' otherwise (including unrecognized errors). */
+function classifyError(err) {
+  const text = `${err && err.code ? `${err.code} ` : ''}${err && err.message !== undefined ? err.message : err}`;
+  if (PERMANENT_ERROR_PATTERN.test(text)) return 'permanent';
+  return TRANSIENT_ERROR_PATTERN.test(text) ? 'transient' : 'permanent';
+}
+
+/** Backoff before retry number `attempt` (1-based): doubling, capped, then jittered to 50-100%. */
+function retryDelayMs(attempt) {
+  const ceiling = Math.min(config.retryMaxDelay, config.retryDelay * 2 ** (attempt - 1)) * 1000;
+  return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+}
+
+/**
+ * Runs `operation` (returning a promise) under the retry policy. Each retry is
+ * logged under the operation `key` and, when given, counted in `counts[key]`;
+ * the final error carries `attempts` and `classification`.
+ */
+async function withRetry(label, operation, logger, counts, key) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await operation(attempt);
+    } catch (err) {
+      const error = err instanceof Error ? err : new Error(String(err));
+      const classification = classifyError(error);
+      error.attempts = attempt;
+      error.classification = classification;
+      if (classification === 'permanent' || attempt >= config.maxAttempts) {
+        if (classification === 'transient' && attempt > 1) {
+          logger.warning(`Giving up on ${label} after ${attempt} attempts`);
+        }
+        throw error;
+      }
+
+      const delayMs = retryDelayMs(attempt);
+      if (counts) counts[key] = (counts[key] || 0) + 1;
+      logger.event('warning',
+        `${error.message} (attempt ${attempt}/${config.maxAttempts}); retrying ${label} in ${(delayMs / 1000).toFixed(1)}s`,
+        { retry: { operation: key, attempt, maxAttempts: config.maxAttempts, delayMs, error: error.message } });
+      await sleep(delayMs);
+    }
+  }
+}
+
+/**
+ * Authenticates and initializes Earth Engine once per process. Experiments
+ * running in parallel share the same session; a failed attempt is forgotten
+ * so the next experiment can try again. Retries are logged to and counted for
+ * the experiment that opened the session.
+ */
+let eeSession = null;
+
+function initializeEarthEngine(KEY, logger, retries) {
+  if (!eeSession) {
+    eeSession = (async () => {
+      await withRetry('authentication', () => new Promise((resolve, reject) => {
+        ee.data.authenticateViaPrivateKey(KEY, resolve, (err) => reject(new Error(`Authentication failed: ${err}`)));
+      }), logger, retries, 'authentication');
+
+      await withRetry('initialization', () => new Promise((resolve, reject) => {
+        ee.initialize(null, null, resolve, (err) => {
+          reject(new Error(`Failed to initialize EE: ${err}`));
+        }, null, config.project);
+      }), logger, retries, 'initialization');
+    })();
+    eeSession.catch(() => { eeSession = null; });
+  }
+  return eeSession;
+}
+
+/**
+ * Runs one experiment end to end. `options.sidecarData` supplies an already
+ * parsed sidecar (e.g. a sweep variant) instead of reading `sidecarPath`, and
+ * `options.name` overrides the experiment name derived from the file. Batch
+ * runs also pass the experiment's `index`, the shared `timestamp` and the
+ * `batchAssets` map used for templated export names. `options.tiling` splits
+ * the study area into tiles (see runTiledExperiment()); it is merged over the
+ * sidecar's tiling block, and `false` runs a tiling sidecar untiled. The tiles
+ * share `options.assetClaims` so no two of them export to the same asset.
+ */
+async function runExperiment(userScript, moduleRoot, sidecarPath, options = {}) {
+  const tiled = experimentTiling(sidecarPath, options);
+  if (tiled) return runTiledExperiment(userScript, moduleRoot, sidecarPath, options, tiled);
+
+  const experimentName = options.name || path.basename(sidecarPath, '.json');
+
+  // Every experiment gets its own logger (and log file) so parallel runs never interleave files
+  const logger = new Logger(config.logDir, { prefix: options.prefix, experiment: experimentName });
+
+  if (!config.noLog) {
+    logger.initLogFile(experimentName);
+  }
+
+  const run = {
+    experimentName,
+    logger,
+    manifest: createRunManifest(experimentName, userScript, sidecarPath),
+    retries: { authentication: 0, initialization: 0, taskSubmission: 0 }
+  };
+  const result = await executeExperiment(userScript, moduleRoot, sidecarPath, options, run);
+  if (run.sandbox) {
+    run.retries.taskSubmission = run.sandbox.__submittedTasks.reduce((n, t) => n + Math.max(0, (t.attempts || 1) - 1), 0);
+  }
+  const runManifest = writeRunManifest(run.manifest, result, run, logger);
+
+  return { ...result, retries: run.retries, runManifest };
+}
+
+/**
+ * The body of runExperiment(). `run` carries the experiment's logger and run
+ * manifest; the resolver and sandbox are stored on it as they are created.
+ */
+async function executeExperiment(userScript, moduleRoot, sidecarPath, options, run) {
+  const { experimentName, logger, manifest } = run;
+
+  logger.banner('BULC-D HEADLESS LAB RUNNER v11.0');
+
+  // --- Load and validate sidecar ---
+  logger.section('Loading Experiment Configuration');
+
+  let sidecarData = options.sidecarData;
+  if (sidecarData) {
+    logger.success(`Using sidecar: ${path.basename(sidecarPath)} (${experimentName})`);
+  } else {
+    try {
+      sidecarData = resolveSidecar(sidecarPath);
+      logger.success(`Loaded sidecar: ${path.basename(sidecarPath)}`);
+    } catch (e) {
+      logger.error(`Failed to load sidecar: ${e.message}`);
+      recordValidationReport(experimentName, sidecarPath, [
+        { severity: 'error', code: 'LOAD_FAILED', path: '', message: e.message }
+      ]);
+      return { success: false, error: e.message };
+    }
+  }
+
+  manifest.sidecar.sha256 = sidecarHash(sidecarData);
+  manifest.sidecar.resolved = JSON.parse(JSON.stringify(sidecarData));
+
+  config.overrides.forEach(o => logger.info(`Override: ${o.path} = ${JSON.stringify(o.value)}`));
+
+  // Keep the fully resolved sidecar next to the log so the run can be reproduced exactly
+  if (logger.logFile) {
+    const resolvedPath = logger.logFile.replace(/\.log$/, '.sidecar.json');
+    fs.writeFileSync(resolvedPath, JSON.stringify(sidecarData, null, 2));
+    logger.info(`Resolved sidecar written to: ${resolvedPath}`);
+  }
+
+  if (options.sweep) {
+    logger.table(options.sweep.values, `Sweep variant ${options.sweep.index + 1}/${options.sweep.total}:`);
+  }
+
+  const exportNames = templateValues(experimentName, sidecarData, options.index || 0, options.timestamp || runTimestamp());
+
+  // Validate
+  logger.section('Validating Parameters');
+  const validation = validateSidecar(sidecarData, sidecarPath, { template: exportNames, batchAssets: options.batchAssets });
+  recordValidationReport(experimentName, sidecarPath, validation.issues);
+  manifest.validation = validation.issues;
+
+  if (validation.warnings.length > 0) {
+    logger.warning('Validation warnings:');
+    validation.issues.filter(i => i.severity === 'warning')
+      .forEach(i => logger.event('warning', `  • ${i.message}`, { code: i.code, path: i.path, rule: i.rule }));
+  }
+
+  if (validation.errors.length > 0) {
+    logger.error('Validation failed with errors:');
+    validation.issues.filter(i => i.severity === 'error')
+      .forEach(i => logger.event('error', `  • ${i.message}`, { code: i.code, path: i.path, rule: i.rule }));
+    return { success: false, error: `${validation.errors.length} validation error(s)`, errors: validation.errors };
+  }
+
+  logger.success('Parameter validation passed');
+
+  // Show configuration summary
+  if (config.verbose) {
+    const studyArea = describeStudyArea(sidecarData.inputParameters || {});
+    logger.table({
+      'Caller Script': userScript,
+      'Module Root': moduleRoot,
+      'Sidecar': sidecarPath,
+      'Dry Run': config.dryRun,
+      'Offline': config.offline,
+      'Change Threshold': sidecarData.analysisParameters?.changeThreshold,
+      'Initialization': sidecarData.advancedParameters?.initializationApproach,
+      'Study Area': studyArea.area,
+      'Study Area BBox': studyArea.bbox
+    }, 'Configuration Summary:');
+  }
+
+  // Check user script exists
+  if (!fs.existsSync(userScript)) {
+    logger.error(`Caller script not found: ${userScript}`);
+    return { success: false, error: 'Caller script not found' };
+  }
+  manifest.caller.sha256 = contentHash(fs.readFileSync(userScript));
+
+  // Dry run stops here, unless --offline is going to execute the caller anyway
+  if (config.dryRun && !config.offline) {
+    const exportParameters = sidecarData.exportParameters;
+    const configuredExports = exportParameters && exportParameters.enabled !== false
+      ? [expandExportNames(exportParameters, exportNames)]
+      : [];
+    reportBandManifest(exportParameters, configuredExports, null, logger);
+
+    // Only the configured assetId is known without executing the caller; --offline checks the real exports
+    if (options.assetClaims) {
+      try {
+        configuredExports.filter(e => e.assetId).forEach(e => claimTileAsset(options.assetClaims, e.assetId, exportNames.experiment));
+      } catch (err) {
+        logger.error(err.message);
+        return { success: false, dryRun: true, error: err.message };
+      }
+    }
+
+    logger.section('Dry Run Complete');
+    logger.success('All validations passed. Ready for execution.');
+    return { success: true, dryRun: true };
+  }
+
+  // --- Authenticate and Execute ---
+  let eeApi = ee;
+
+  if (config.offline) {
+    logger.section('Preparing Offline Earth Engine');
+    eeApi = createOfflineEE();
+    logger.info('Using the offline ee stand-in: nothing is authenticated, computed or submitted');
+  } else {
+    logger.section('Initializing Google Earth Engine');
+
+    const keyPath = config.keyPath;
+
+    if (!fs.existsSync(keyPath)) {
+      logger.error(`Service account key not found: ${keyPath}`);
+      logger.info(`Pass --key=FILE, set GEE_KEY_PATH, set "keyPath" in ${PROJECT_CONFIG_FILE} or place the key at ./service-account-key.json`);
+      return { success: false, error: 'Service account key not found' };
+    }
+
+    const KEY = require(path.resolve(keyPath));
+    logger.info(`Authenticating as: ${KEY.client_email}`);
+    manifest.serviceAccount = KEY.client_email || null;
+
+    try {
+      await initializeEarthEngine(KEY, logger, run.retries);
+    } catch (err) {
+      logger.error(err.message);
+      return { success: false, error: err.message };
+    }
+
+    logger.success('Authentication successful');
+    logger.success('Earth Engine initialized');
+  }
+
+  logger.section('Executing Experiment');
+
+  let sandbox, sharedShims;
+  try {
+    // Reconstruct geometries
+    sidecarData = reconstructGeometries(sidecarData, logger, eeApi);
+
+    // Create shared shims for print, Map, ui (used by modules)
+    sharedShims = createSharedShims(eeApi);
+
+    // Create sandbox and resolver with shared shims and parameter injection
+    const moduleResolver = createModuleResolver(moduleRoot, sharedShims, sidecarData, logger);
+    sandbox = createSandbox(sidecarData, moduleResolver, sharedShims, logger, exportNames, options.assetClaims);
+    Object.assign(run, { moduleResolver, sandbox });
+
+    // Read and execute caller script
+    const code = fs.readFileSync(userScript, 'utf8');
+    vm.createContext(sandbox);
+
+    logger.info(`Executing: ${path.basename(userScript)}`);
+    sharedShims.asyncWork.run(() =>
+      vm.runInContext(code, sandbox, { filename: userScript, timeout: config.scriptTimeout * 1000 }));
+  } catch (err) {
+    if (sharedShims) sharedShims.asyncWork.close(logger);
+    if (err.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT') {
+      const message = `Caller script was still running after ${config.scriptTimeout}s and was stopped (--script-timeout)`;
+      logger.error(message);
+      return { success: false, error: message };
+    }
+    logger.error('Runtime error:');
+    logger.error(err.stack);
+    return { success: false, error: err.message };
+  }
+
+  const asyncError = await settleAsyncWork(sharedShims.asyncWork, logger);
+  if (asyncError) return { success: false, error: asyncError };
+
+  const exportedImages = config.offline
+    ? sandbox.__plannedExports
+    : sandbox.__submittedTasks.map(t => ({ type: t.type, description: t.config.description, assetId: t.config.assetId }));
+  reportBandManifest(sidecarData.exportParameters, exportedImages, sandbox, logger);
+
+  if (config.evaluatePrints) await reportPrints(sandbox.__prints, logger);
+
+  reportLayerManifest(sharedShims.mapState, logger);
+  if (config.layerPreviews && sharedShims.mapState.layers.length > 0) {
+    const region = sidecarExportSettings(sidecarData, eeApi).region;
+    await requestLayerPreviews(sharedShims.mapState, sandbox, region, eeApi, logger);
+  }
+
+  await reportCharts(sharedShims.charts, eeApi, logger);
+
+  if (config.offline) {
+    return reportOfflineRun(sandbox.__plannedExports, eeApi.__offlineReport, logger);
+  }
+
+  // Wait until Earth Engine has acknowledged every export the script submitted
+  await Promise.all(sandbox.__pendingStarts);
+
+  // Report results
+  logger.section('Execution Complete');
+
+  const tasks = sandbox.__submittedTasks;
+  const started = tasks.filter(t => !t.skipped);
+  if (tasks.length > 0) {
+    logger.success(`Submitted ${started.length} task(s) to GEE:`);
+    tasks.forEach((t, i) => {
+      const id = t.id ? Style.gray(` [${t.id}]`) : t.skipped ? Style.gray(' [skipped: asset exists]') : '';
+      logger.item(`  ${i + 1}. ${t.type}: ${t.config.description || t.config.assetId || 'unnamed'}${id}`,
+        { task: { id: t.id, type: t.type, skipped: !!t.skipped, config: serializeExportConfig(t.config) } });
+    });
+  } else {
+    logger.warning('No export tasks were submitted');
+  }
+
+  if (config.wait && started.length > 0) {
+    await waitForTasks(started, logger);
+  }
+
+  logger.event('info', Style.time(`Total time: ${logger.elapsed()}`), { durationMs: Date.now() - logger.startTime });
+
+  const taskResults = tasks.map(t => ({
+    id: t.id,
+    type: t.type,
+    description: t.config.description || null,
+    assetId: t.config.assetId || null,
+    attempts: t.attempts || null,
+    ...(t.result || { state: t.error ? 'FAILED' : t.skipped ? 'SKIPPED' : 'SUBMITTED', error: t.error || null })
+  }));
+
+  const failedStarts = tasks.filter(t => t.error);
+  if (failedStarts.length > 0) {
+    return {
+      success: false,
+      error: `${failedStarts.length} export task(s) failed to start`,
+      tasksSubmitted: started.length - failedStarts.length,
+      tasks: taskResults
+    };
+  }
+
+  const unfinished = taskResults.filter(t => config.wait && !['COMPLETED', 'SKIPPED'].includes(t.state));
+  if (unfinished.length > 0) {
+    return {
+      success: false,
+      error: `${unfinished.length} export task(s) did not complete`,
+      tasksSubmitted: started.length,
+      tasks: taskResults
+    };
+  }
+
+  return { success: true, tasksSubmitted: started.length, tasks: taskResults };
+}
+
+/**
+ * Waits for the callbacks and timers the script left behind, up to
+ * --async-timeout, then closes the tracker. Returns an error message when
+ * work was abandoned or a callback threw, null otherwise.
+ */
+async function settleAsyncWork(tracker, logger) {
+  if (tracker.pending.size > 0) {
+    logger.info(`Waiting for ${tracker.pending.size} asynchronous operation(s) started by the script (up to ${config.asyncTimeout}s)`);
+    const started = Date.now();
+    if (await tracker.whenIdle(config.asyncTimeout * 1000)) {
+      logger.success(`Asynchronous work finished after ${formatDuration(Date.now() - started)}`);
+    }
+  }
+
+  const abandoned = tracker.close(logger);
+  tracker.errors.forEach(({ description, error }) => {
+    logger.error(`Error in ${description}:`);
+    logger.error(error && error.stack ? error.stack : String(error));
+  });
+
+  if (abandoned.length > 0) {
+    logger.event('error', `${abandoned.length} asynchronous operation(s) still pending after ${config.asyncTimeout}s; their callbacks are abandoned:`,
+      { abandoned });
+    abandoned.forEach(d => logger.item(`  ${Style.gray('•')} ${d}`));
+    return `${abandoned.length} pending callback(s) abandoned after ${config.asyncTimeout}s (--async-timeout)`;
+  }
+  if (tracker.errors.length > 0) {
+    const { description, error } = tracker.errors[0];
+    return `Error in ${description}: ${error && error.message ? error.message : error}`;
+  }
+  return null;
+}
+
+/**
+ * Summarizes an --offline execution: the exports that would have been created
+ * and any ee methods the stand-in did not recognize.
+ */
+function reportOfflineRun(plannedExports, offlineReport, logger) {
+  logger.section('Offline Run Complete');
+
+  logger.success('Caller and modules executed without runtime errors');
+
+  if (plannedExports.length > 0) {
+    logger.success(`${plannedExports.length} export(s) would be created:`);
+    plannedExports.forEach((e, i) => {
+      logger.item(`  ${i + 1}. ${e.type}: ${e.assetId || e.description || 'unnamed'}`, { export: e });
+      logger.table({
+        'Region': e.region,
+        'Scale': e.scale !== null ? `${e.scale} m` : 'not set',
+        'CRS': e.crs || 'default',
+        'Max Pixels': e.maxPixels !== null ? e.maxPixels : 'default',
+        'Bands': e.bands ? e.bands.join(', ') : 'unknown (computed server-side)'
+      });
+    });
+  } else {
+    logger.warning('No export tasks would be submitted');
+  }
+
+  // Server algorithms are not in the client package, so these may well exist
+  const unknownMethods = [...offlineReport.unknownMethods.keys()].sort();
+  if (unknownMethods.length > 0) {
+    logger.event('warning', `ee methods not known offline (server algorithms cannot be checked; look for typos): ${unknownMethods.join(', ')}`, { unknownMethods });
+  }
+
+  if (offlineReport.valueRequests > 0) {
+    logger.info(`${offlineReport.valueRequests} getInfo()/evaluate()/ee.data call(s) returned null offline`);
+  }
+
+  logger.event('info', Style.time(`Total time: ${logger.elapsed()}`), { durationMs: Date.now() - logger.startTime });
+
+  return { success: true, offline: true, exports: plannedExports, unknownMethods };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// SECTION 15: TASK MONITORING
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const TERMINAL_TASK_STATES = ['COMPLETED', 'FAILED', 'CANCELLED'];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function getTaskStatuses(taskIds) {
+  return new Promise((resolve, reject) => {
+    ee.data.getTaskStatus(taskIds, (statuses, err) => {
+      if (err) reject(new Error(err));
+      else resolve(statuses);
+    });
+  });
+}
+
+/**
+ * Polls Earth Engine until every submitted task reaches a terminal state or
+ * the timeout expires. Each task record gets a final `result` of
+ * { state, error, outputUri, elapsed }; tasks that never started are FAILED
+ * and tasks still running at the timeout are TIMED_OUT.
+ */
+async function waitForTasks(tasks, logger) {
+  const startTime = Date.now();
+  const timeoutMs = config.waitTimeout * 60 * 1000;
+  const intervalMs = config.pollInterval * 1000;
+  const nameOf = (t) => t.config.description || t.config.assetId || t.id;
+
+  logger.section('Waiting for Export Tasks');
+  logger.info(`Polling ${tasks.length} task(s) every ${config.pollInterval}s (timeout: ${config.waitTimeout} min)`);
+
+  for (const t of tasks) {
+    if (!t.id) {
+      t.result = { state: 'FAILED', error: t.error || 'Task was never started', outputUri: null, elapsed: '0s' };
+    }
+  }
+
+  let pending = tasks.filter(t => !t.result);
+
+  while (pending.length > 0) {
+    if (Date.now() - startTime > timeoutMs) {
+      pending.forEach(t => {
+        t.result = { state: 'TIMED_OUT', error: `Still ${t.state || 'UNKNOWN'} after ${config.waitTimeout} min`, outputUri: null, elapsed: formatDuration(Date.now() - startTime) };
+        logger.warning(`Gave up waiting for ${nameOf(t)} (last state: ${t.state || 'UNKNOWN'})`);
+      });
+      break;
+    }
+
+    let statuses = [];
+    try {
+      statuses = await getTaskStatuses(pending.map(t => t.id));
+    } catch (err) {
+      // A failed poll says nothing about the tasks themselves; try again next round
+      logger.warning(`Task status poll failed: ${err.message}`);
+    }
+
+    const elapsed = formatDuration(Date.now() - startTime);
+
+    statuses.forEach(status => {
+      const t = pending.find(p => p.id === status.id);
+      if (!t || status.state === t.state) return;
+
+      logger.event('info', Style.time(`${nameOf(t)}: ${t.state || 'SUBMITTED'} → ${status.state} (${elapsed})`),
+        { taskId: t.id, state: status.state, previousState: t.state || 'SUBMITTED' });
+      t.state = status.state;
+
+      if (TERMINAL_TASK_STATES.includes(status.state)) {
+        t.result = {
+          state: status.state,
+          error: status.error_message || null,
+          outputUri: (status.output_url || [])[0] || null,
+          elapsed
+        };
+      }
+    });
+
+    pending = pending.filter(t => !t.result);
+    if (pending.length > 0) await sleep(intervalMs);
+  }
+
+  tasks.forEach(t => {
+    const r = t.result;
+    if (r.state === 'COMPLETED') {
+      logger.event('success', `${nameOf(t)}: COMPLETED in ${r.elapsed}${r.outputUri ? ` → ${r.outputUri}` : ''}`, { taskId: t.id, ...r });
+    } else {
+      logger.event('error', `${nameOf(t)}: ${r.state}${r.error ? ` - ${r.error}` : ''}`, { taskId: t.id, ...r });
+    }
+  });
+
+  return tasks.map(t => t.result);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// SECTION 16: BATCH EXECUTION
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Runs worker(item, index) over items with at most `limit` calls in flight.
+ * Results keep the order of the input items, not the order of completion.
+ */
+async function runWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const lanes = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  });
+
+  await Promise.all(lanes);
+  return results;
+}
+
+/**
+ * Expands a sidecar's `sweep` block into one sidecar per parameter combination:
+ *
+ *   "sweep": {
+ *     "mode": "cartesian",            // or "zip" (lists advance together)
+ *     "parameters": {
+ *       "analysisParameters.changeThreshold": [0.4, 0.5, 0.6],
+ *       "inputParameters.theTargetYear": [2022, 2023]
+ *     }
+ *   }
+ *
+ * Variant names are derived from the swept values, so re-running the same
+ * sweep always produces the same names, log prefixes and export targets.
+ * Throws if the sweep block is malformed.
+ */
+function expandSweep(baseName, sidecarData) {
+  const sweep = sidecarData.sweep;
+  const mode = sweep.mode || 'cartesian';
+  const paths = Object.keys(sweep.parameters || {});
+
+  if (!SWEEP_MODES.includes(mode)) {
+    throw new Error(`sweep.mode must be one of: ${SWEEP_MODES.join(', ')} (got "${mode}")`);
+  }
+  if (paths.length === 0) {
+    throw new Error('sweep.parameters must map at least one parameter path to a list of values');
+  }
+  for (const p of paths) {
+    const values = sweep.parameters[p];
+    if (!Array.isArray(values) || values.length === 0) {
+      throw new Error(`sweep.parameters["${p}"] must be a non-empty array`);
+    }
+    if (getByPath(sidecarData, p) === undefined) {
+      throw new Error(`sweep.parameters["${p}"] does not match any parameter in the sidecar`);
+    }
+  }
+
+  // Each combination is a list of value indices, one per path
+  let combinations;
+  if (mode === 'zip') {
+    const length = sweep.parameters[paths[0]].length;
+    const mismatched = paths.find(p => sweep.parameters[p].length !== length);
+    if (mismatched) {
+      throw new Error(`sweep.mode "zip" needs equal-length lists (${paths[0]} has ${length}, ${mismatched} has ${sweep.parameters[mismatched].length})`);
+    }
+    combinations = Array.from({ length }, (_, i) => paths.map(() => i));
+  } else {
+    combinations = paths.reduce((acc, p) =>
+      acc.flatMap(combo => sweep.parameters[p].map((_, i) => [...combo, i])), [[]]);
+  }
+
+  const { sweep: _omit, ...base } = sidecarData;
+
+  return combinations.map((combo, index) => {
+    const data = JSON.parse(JSON.stringify(base));
+    const values = {};
+    const nameParts = [];
+
+    paths.forEach((p, j) => {
+      const value = sweep.parameters[p][combo[j]];
+      setByPath(data, p, JSON.parse(JSON.stringify(value)));
+      values[p] = value;
+
+      // Scalars name themselves; lists and objects use their 1-based position
+      const label = (value !== null && typeof value === 'object') ? combo[j] + 1 : value;
+      nameParts.push(`${p.split('.').pop()}-${label}`);
+    });
+
+    let suffix = nameParts.join('_').replace(/[^A-Za-z0-9_-]/g, '_');
+    if (suffix.length > 60) suffix = `v${String(index + 1).padStart(3, '0')}`;
+
+    // Keep exports of different variants from landing on the same asset
+    if (data.exportParameters) {
+      if (data.exportParameters.description) data.exportParameters.description += `_${suffix}`;
+      if (data.exportParameters.assetId) data.exportParameters.assetId += `_${suffix}`;
+    }
+
+    return {
+      name: `${baseName}__${suffix}`,
+      sidecarData: data,
+      sweep: { index, total: combinations.length, mode, values }
+    };
+  });
+}
+
+/**
+ * Maps each sidecar in `files` that another one names in "extends" to the
+ * names of the sidecars extending it. Unreadable files are left to runExperiment().
+ */
+function extendsBases(files) {
+  const bases = new Map();
+  for (const file of files) {
+    let base;
+    try {
+      base = JSON.parse(fs.readFileSync(file, 'utf8')).extends;
+    } catch (e) {
+      continue;
+    }
+    if (typeof base !== 'string') continue;
+    const basePath = path.resolve(path.dirname(file), base);
+    bases.set(basePath, [...(bases.get(basePath) || []), path.basename(file)]);
+  }
+  return bases;
+}
+
+/**
+ * Turns the batch input (a directory of sidecars or a single sidecar) into the
+ * list of experiments to run, expanding any sweep blocks along the way. In a
+ * directory, sidecars that siblings extend are shared bases, not experiments.
+ */
+function collectExperiments(sidecarPath) {
+  let files = [sidecarPath];
+  if (fs.statSync(sidecarPath).isDirectory()) {
+    files = fs.readdirSync(sidecarPath).filter(f => f.endsWith('.json')).map(f => path.join(sidecarPath, f));
+    const bases = extendsBases(files);
+    files = files.filter(file => {
+      const children = bases.get(path.resolve(file));
+      if (children) logger.info(`Skipping ${path.basename(file)}: base sidecar extended by ${children.join(', ')}`);
+      return !children;
+    });
+  }
+
+  const experiments = [];
+  for (const file of files) {
+    let data = null;
+    try {
+      data = resolveSidecar(file);
+    } catch (e) {
+      // runExperiment() reports unreadable sidecars with the usual error output
+    }
+
+    if (data && data.sweep) {
+      try {
+        expandSweep(path.basename(file, '.json'), data).forEach(v => experiments.push({ file, ...v }));
+      } catch (e) {
+        experiments.push({ file, name: path.basename(file, '.json'), error: `Invalid sweep: ${e.message}` });
+      }
+    } else {
+      experiments.push({ file, name: path.basename(file, '.json') });
+    }
+  }
+  return experiments;
+}
+
+/** Resolved sidecar of a batch entry, or null when it is unusable (reported when the experiment runs). */
+function experimentSidecar(experiment) {
+  if (experiment.error) return null;
+  if (experiment.sidecarData) return experiment.sidecarData;
+  try {
+    return resolveSidecar(experiment.file);
+  } catch (e) {
+    return null;
+  }
+}
+
+// ─── Batch state ────────────────────────────────────────────────────────────────
+// Live batch runs record each experiment's outcome in
+// <runs-dir>/batches/<input>-<hash>.json as soon as it finishes. --resume skips
+// experiments that succeeded with the same resolved sidecar and caller script;
+// --force ignores the recorded state. A plain rerun runs everything, with a warning.
+
+function batchStatePath(experimentsPath) {
+  const input = path.resolve(experimentsPath);
+  return path.join(config.runsDir, 'batches', `${path.basename(input, '.json')}-${contentHash(input).slice(0, 8)}.json`);
+}
+
+function loadBatchState(statePath) {
+  try {
+    const state = JSON.parse(fs.readFileSync(statePath, 'utf8'));
+    if (isPlainObject(state) && isPlainObject(state.experiments)) return state;
+    logger.warning(`Ignoring malformed batch state: ${statePath}`);
+  } catch (e) {
+    if (e.code !== 'ENOENT') logger.warning(`Ignoring unreadable batch state ${statePath}: ${e.message}`);
+  }
+  return { experiments: {} };
+}
+
+function saveBatchState(statePath, state) {
+  state.updatedAt = new Date().toISOString();
+  fs.mkdirSync(path.dirname(statePath), { recursive: true });
+  fs.writeFileSync(statePath, JSON.stringify(state, null, 2));
+}
+
+/**
+ * Maps each expanded export asset ID of the batch to the experiments exporting
+ * to it, so validation can reject collisions before anything is submitted.
+ */
+function collectBatchAssets(experiments, timestamp) {
+  const owners = new Map();
+
+  experiments.forEach((experiment, i) => {
+    const data = experimentSidecar(experiment);
+    if (!data) return;
+
+    const ep = data.exportParameters;
+    if (!isPlainObject(ep) || ep.enabled === false || typeof ep.assetId !== 'string') return;
+
+    const values = templateValues(experiment.name, data, i, timestamp);
+    const assetId = expandTemplate(ep.assetId, values);
+    owners.set(assetId, [...(owners.get(assetId) || []), values.experiment]);
+  });
+
+  return owners;
+}
+
+async function runBatch(userScript, moduleRoot, experimentsPath) {
+  logger.banner('BATCH MODE ENABLED');
+
+  const experiments = collectExperiments(experimentsPath);
+
+  if (experiments.length === 0) {
+    logger.error(`No JSON files found in: ${experimentsPath}`);
+    return;
+  }
+
+  // One timestamp for the whole batch; every experiment's export target is known up front
+  const timestamp = runTimestamp();
+  const batchAssets = collectBatchAssets(experiments, timestamp);
+
+  // Only live runs submit exports, so only they are tracked in the batch state
+  const tracksState = !config.dryRun && !config.offline;
+  const statePath = batchStatePath(experimentsPath);
+  const state = tracksState && !config.force ? loadBatchState(statePath) : { experiments: {} };
+  const callerHash = fs.existsSync(userScript) ? contentHash(fs.readFileSync(userScript)) : null;
+  const sidecarHashes = experiments.map(e => {
+    const data = experimentSidecar(e);
+    return data ? sidecarHash(data) : null;
+  });
+
+  const previouslyFinished = experiments.filter((e, i) => {
+    const previous = state.experiments[e.name];
+    return tracksState && previous && previous.status === 'succeeded' &&
+      previous.callerHash === callerHash && previous.sidecarHash === sidecarHashes[i];
+  });
+
+  // Without --resume a rerun submits everything again, as it always has
+  if (previouslyFinished.length > 0 && !config.resume) {
+    logger.warning(`${previouslyFinished.length} experiment(s) already finished in a previous run of this batch and will run again (state: ${statePath})`);
+    logger.info('Use --resume to skip them, or --force to silence this warning');
+  }
+  const finished = config.resume ? previouslyFinished : [];
+
+  const toRun = experiments.map((experiment, index) => ({ experiment, index })).filter(({ experiment }) => !finished.includes(experiment));
+  const parallel = Math.max(1, Math.min(config.parallel, toRun.length));
+
+  logger.info(`Found ${experiments.length} experiment(s) to run`);
+  experiments.forEach((e, i) => {
+    const origin = e.sweep ? Style.gray(` (sweep of ${path.basename(e.file)})`) : '';
+    const skipped = finished.includes(e) ? Style.gray(' (already finished, skipped)') : '';
+    logger.info(`  ${i + 1}. ${e.name}${origin}${skipped}`);
+  });
+  if (finished.length > 0) {
+    logger.info(`Resuming: ${finished.length} finished experiment(s) skipped, ${toRun.length} to run`);
+  }
+  if (parallel > 1) {
+    logger.info(`Running up to ${parallel} experiments in parallel`);
+  }
+
+  Object.assign(state, { experimentsPath: path.resolve(experimentsPath), callerScript: path.resolve(userScript) });
+
+  const ran = await runWithConcurrency(toRun, parallel, async ({ experiment, index: i }) => {
+    const label = `${i + 1}/${experiments.length}: ${experiment.name}`;
+
+    if (parallel === 1) {
+      logger.print('');
+      logger.print(Style.yellow('═'.repeat(80)));
+      logger.info(`Running experiment ${label}`);
+      logger.print(Style.yellow('═'.repeat(80)));
+    } else {
+      logger.info(`Starting experiment ${label}`);
+    }
+
+    let result;
+    if (experiment.error) {
+      logger.error(`${experiment.name}: ${experiment.error}`);
+      recordValidationReport(experiment.name, experiment.file, [
+        { severity: 'error', code: 'INVALID_SWEEP', path: 'sweep', message: experiment.error }
+      ]);
+      result = { success: false, error: experiment.error };
+    } else {
+      // Prefix console lines with the experiment name once output can interleave
+      result = await runExperiment(userScript, moduleRoot, experiment.file, {
+        prefix: parallel > 1 ? experiment.name : null,
+        name: experiment.name,
+        sidecarData: experiment.sidecarData,
+        sweep: experiment.sweep,
+        index: i,
+        timestamp,
+        batchAssets
+      });
+    }
+
+    if (parallel > 1) {
+      const log = result.success ? 'success' : 'error';
+      logger[log](`Finished experiment ${label}`);
+    }
+
+    // Persist after every experiment so an interrupted batch loses nothing it finished
+    if (tracksState) {
+      state.experiments[experiment.name] = {
+        status: result.success ? 'succeeded' : 'failed',
+        error: result.error || null,
+        sidecarHash: sidecarHashes[i],
+        callerHash,
+        finishedAt: new Date().toISOString(),
+        runManifest: result.runManifest || null,
+        taskIds: (result.tasks || []).map(t => t.id).filter(Boolean)
+      };
+      saveBatchState(statePath, state);
+    }
+
+    return {
+      file: experiment.sweep ? experiment.name : path.basename(experiment.file),
+      ...(experiment.sweep && { sweep: experiment.sweep }),
+      ...result
+    };
+  });
+
+  const results = experiments.map(experiment => {
+    const position = toRun.findIndex(r => r.experiment === experiment);
+    if (position !== -1) return ran[position];
+    return {
+      file: experiment.sweep ? experiment.name : path.basename(experiment.file),
+      success: true,
+      skipped: true,
+      previousRun: state.experiments[experiment.name]
+    };
+  });
+
+  // Summary
+  logger.banner('BATCH SUMMARY');
 
-    // Export handling - AUTO-START: tasks are submitted immediately
-    // This mirrors GEE Code Editor behavior where clicking Run starts the task
-    Export: {
-      image: {
-        toAsset: (config) => {
-          if (module.exports.dryRun) {
-            logger.info(`[DRY-RUN] Would export image to asset: ${config.assetId || config.description}`);
-            return { start: () => {} };
-          }
-          const task = ee.batch.Export.image.toAsset(config);
-          task.start();  // Auto-start
-          submittedTasks.push({ type: 'image.toAsset', config });
-          logger.info(`Export started: ${config.description || config.assetId}`);
-          return { start: () => {} };  // No-op if .start() called again
-        },
-        toDrive: (config) => {
-          if (module.exports.dryRun) {
-            logger.info(`[DRY-RUN] Would export image to Drive: ${config.description}`);
-            return { start: () => {} };
-          }
-          const task = ee.batch.Export.image.toDrive(config);
-          task.start();  // Auto-start
-          submittedTasks.push({ type: 'image.toDrive', config });
-          logger.info(`Export started: ${config.description}`);
-          return { start: () => {} };
-        },
-        toCloudStorage: (config) => {
-          if (module.exports.dryRun) {
-            logger.info(`[DRY-RUN] Would export image to Cloud Storage: ${config.description}`);
-            return { start: () => {} };
-          }
-          const task = ee.batch.Export.image.toCloudStorage(config);
-          task.start();  // Auto-start
-          submittedTasks.push({ type: 'image.toCloudStorage', config });
-          logger.info(`Export started: ${config.description}`);
-          return { start: () => {} };
-        }
-      },
-      table: {
-        toAsset: (config) => {
-          if (module.exports.dryRun) {
-            logger.info(`[DRY-RUN] Would export table to asset: ${config.assetId || config.description}`);
-            return { start: () => {} };
-          }
-          const task = ee.batch.Export.table.toAsset(config);
-          task.start();  // Auto-start
-          submittedTasks.push({ type: 'table.toAsset', config });
-          logger.info(`Export started: ${config.description || config.assetId}`);
-          return { start: () => {} };
-        },
-        toDrive: (config) => {
-          if (module.exports.dryRun) {
-            logger.info(`[DRY-RUN] Would export table to Drive: ${config.description}`);
-            return { start: () => {} };
-          }
-          const task = ee.batch.Export.table.toDrive(config);
-          task.start();  // Auto-start
-          submittedTasks.push({ type: 'table.toDrive', config });
-          logger.info(`Export started: ${config.description}`);
-          return { start: () => {} };
-        }
-      },
-      video: {
-        toDrive: (config) => {
-          if (module.exports.dryRun) {
-            logger.info(`[DRY-RUN] Would export video to Drive: ${config.description}`);
-            return { start: () => {} };
-          }
-          const task = ee.batch.Export.video.toDrive(config);
-          task.start();  // Auto-start
-          submittedTasks.push({ type: 'video.toDrive', config });
-          logger.info(`Export started: ${config.description}`);
-          return { start: () => {} };
-        }
-      }
-    },
+  const skipped = results.filter(r => r.skipped);
+  const successful = results.filter(r => r.success && !r.skipped).length;
+  const failed = results.filter(r => !r.success).length;
 
-    // Provide access to submitted tasks
-    __submittedTasks: submittedTasks
-  };
+  logger.event('info', `Total: ${results.length} | ${Style.green(`Passed: ${successful}`)} | ${Style.red(`Failed: ${failed}`)}` +
+    (skipped.length > 0 ? ` | ${Style.gray(`Skipped: ${skipped.length}`)}` : ''),
+    { total: results.length, passed: successful, failed, skipped: skipped.length });
+
+  results.filter(r => !r.skipped).forEach(r => {
+    const retryCount = Object.values(r.retries || {}).reduce((n, c) => n + c, 0);
+    const retryNote = retryCount > 0 ? Style.gray(` (${retryCount} retr${retryCount === 1 ? 'y' : 'ies'})`) : '';
+    if (r.success && r.offline) {
+      logger.event('success', `${r.file} - ${r.exports.length} export(s) planned (offline)`,
+        { file: r.file, offline: true, exports: r.exports.length });
+    } else if (r.success) {
+      logger.event('success', `${r.file} - ${r.tasksSubmitted || 0} tasks${retryNote}`,
+        { file: r.file, tasksSubmitted: r.tasksSubmitted || 0, retries: r.retries, runManifest: r.runManifest });
+    } else {
+      logger.event('error', `${r.file} - ${r.error || 'Unknown error'}${retryNote}`,
+        { file: r.file, error: r.error || 'Unknown error', retries: r.retries });
+    }
 
-  return sandbox;
+    // Final task states are only known when --wait polled them
+    if (config.wait) {
+      (r.tasks || []).forEach(t => {
+        const detail = t.error || t.outputUri || '';
+        logger.item(`    ${Style.gray('•')} ${t.description || t.assetId || t.id}: ${t.state}${detail ? Style.gray(` (${detail})`) : ''}`,
+          { file: r.file, task: t });
+      });
+    }
+  });
+
+  if (skipped.length > 0) {
+    logger.info('Skipped (finished in a previous run):');
+    skipped.forEach(r => logger.item(`    ${Style.gray('•')} ${r.file}${Style.gray(` (finished ${r.previousRun.finishedAt})`)}`,
+      { file: r.file, previousRun: r.previousRun }));
+  }
+
+  if (tracksState) logger.info(`Batch state: ${statePath}`);
+
+  return results;
 }
 
 // ═══════════════════════════════════════════════════════════════════════════════
-// SECTION 7: EXPERIMENT EXECUTION
+// SECTION 17: TILED EXPERIMENTS
 // ═══════════════════════════════════════════════════════════════════════════════
+//
+// A study area too large for one BULC-D run can be split into a grid of tiles:
+//
+//   "tiling": {
+//     "tileSize": 0.5,              // degrees, square tiles
+//     "overlap": 0.01,              // degrees added on every side of a tile
+//     "mosaic": "image",            // "image", "collection" or "none"
+//     "mosaicAssetId": "..."        // defaults to exportParameters.assetId
+//   }
+//
+// Each tile runs the caller as its own experiment (<name>__tile_r01c02) with
+// the tile rectangle as study area and the tile suffix on its export names.
+// Tiles that miss the study area are left out. Once every tile export has
+// finished, the mosaic step either exports the mosaic of the tile images,
+// clipped to the original study area, or copies the tiles into an image
+// collection. runExperiment() takes the same settings as `options.tiling`.
+
+const DEFAULT_TILING = { overlap: 0, mosaic: 'image' };
+// A typo in tileSize should not turn into thousands of export tasks
+const MAX_TILES = 500;
+
+/** Whether the rectangle [west, south, east, north] overlaps any polygon (lists of ring vertices). */
+function rectangleTouchesArea(bbox, polygons) {
+  const [west, south, east, north] = bbox;
+  const corners = [[west, south], [east, south], [east, north], [west, north]];
+  const inRectangle = (p) => p[0] >= west && p[0] <= east && p[1] >= south && p[1] <= north;
+
+  return polygons.some(([exterior, ...holes]) => {
+    if (!exterior || exterior.length < 3) return false;
+    const rings = [exterior, ...holes];
+    if (rings.some(ring => ring.some(inRectangle))) return true;
+    if (corners.some(c => pointInRing(c, exterior) && !holes.some(hole => pointInRing(c, hole)))) return true;
+    return rings.some(ring => ring.some((p, i) =>
+      corners.some((c, k) => segmentsIntersect(p, ring[(i + 1) % ring.length], c, corners[(k + 1) % 4]))));
+  });
+}
+
+/**
+ * Splits a sidecar's study area into tiles: { rows, columns, tiles }, each tile
+ * { name, sidecarData, tile: { row, column, suffix, bbox } } with the tiling
+ * block removed. Throws if the tiling settings or the study area are unusable.
+ */
+function expandTiles(baseName, sidecarData, tiling) {
+  const { tileSize, overlap = 0, mosaic = 'image', mosaicAssetId } = tiling;
+
+  if (typeof tileSize !== 'number' || !(tileSize > 0)) {
+    throw new Error('tiling.tileSize must be a positive number of degrees');
+  }
+  if (typeof overlap !== 'number' || overlap < 0 || overlap >= tileSize / 2) {
+    throw new Error(`tiling.overlap must be at least 0 and less than half the tile size (${tileSize / 2}°)`);
+  }
+  if (!MOSAIC_MODES.includes(mosaic)) {
+    throw new Error(`tiling.mosaic must be one of: ${MOSAIC_MODES.join(', ')} (got "${mosaic}")`);
+  }
+
+  const ip = sidecarData.inputParameters || {};
+  if (studyAreaForms(ip)[0] === 'defaultStudyAreaAsset') {
+    throw new Error('tiling needs the study area as coordinates, GeoJSON, a bounding box or WKT (a table asset cannot be split locally)');
+  }
+  const geojson = studyAreaGeoJSON(ip);
+  if (!geojson) throw new Error('tiling needs a study area in inputParameters');
+
+  const ep = isPlainObject(sidecarData.exportParameters) ? sidecarData.exportParameters : {};
+  if (mosaic !== 'none' && !mosaicAssetId && typeof ep.assetId !== 'string') {
+    throw new Error('tiling.mosaic needs a target: set tiling.mosaicAssetId or exportParameters.assetId (or set tiling.mosaic to "none")');
+  }
+
+  const [west, south, east, north] = measureStudyArea(geojson, false).bbox;
+  const columns = Math.max(1, Math.ceil((east - west) / tileSize - 1e-9));
+  const rows = Math.max(1, Math.ceil((north - south) / tileSize - 1e-9));
+  if (rows * columns > MAX_TILES) {
+    throw new Error(`tiling.tileSize ${tileSize}° splits the study area into ${rows} × ${columns} tiles (at most ${MAX_TILES} are allowed)`);
+  }
+
+  const polygons = polygonsOf(geojson).map(rings => rings.map(ringVertices));
+  const digits = Math.max(2, String(Math.max(rows, columns)).length);
+  const pad = (n) => String(n).padStart(digits, '0');
+  const round = (v) => Math.round(v * 1e9) / 1e9;
+  const { tiling: _omit, ...base } = sidecarData;
+
+  const tiles = [];
+  for (let row = 0; row < rows; row++) {
+    for (let column = 0; column < columns; column++) {
+      // Rows run from north to south, columns from west to east
+      const cell = [
+        west + column * tileSize,
+        Math.max(south, north - (row + 1) * tileSize),
+        Math.min(east, west + (column + 1) * tileSize),
+        north - row * tileSize
+      ];
+      const bbox = [
+        Math.max(-180, cell[0] - overlap), Math.max(-90, cell[1] - overlap),
+        Math.min(180, cell[2] + overlap), Math.min(90, cell[3] + overlap)
+      ].map(round);
+      if (!rectangleTouchesArea(bbox, polygons)) continue;
+
+      const suffix = `tile_r${pad(row + 1)}c${pad(column + 1)}`;
+      const data = JSON.parse(JSON.stringify(base));
+      Object.keys(data.inputParameters).filter(k => k.startsWith('defaultStudyArea')).forEach(k => delete data.inputParameters[k]);
+      data.inputParameters.defaultStudyAreaBBox = bbox;
+      data.inputParameters.defaultStudyAreaGeodesic = false;
+
+      // Each tile exports its own asset over its own rectangle
+      if (data.exportParameters) {
+        if (data.exportParameters.description) data.exportParameters.description += `_${suffix}`;
+        if (data.exportParameters.assetId) data.exportParameters.assetId += `_${suffix}`;
+        delete data.exportParameters.regionCoordinates;
+      }
+
+      tiles.push({ name: `${baseName}__${suffix}`, sidecarData: data, tile: { row: row + 1, column: column + 1, suffix, bbox } });
+    }
+  }
+
+  return { rows, columns, tiles };
+}
 
-async function runExperiment(userScript, moduleRoot, sidecarPath) {
-  const experimentName = path.basename(sidecarPath, '.json');
+/** Tiling settings for a runExperiment() call, or null when the experiment is not tiled. */
+function experimentTiling(sidecarPath, options) {
+  if (options.tiling === false) return null;
+
+  let sidecarData = options.sidecarData;
+  if (!sidecarData) {
+    try {
+      sidecarData = resolveSidecar(sidecarPath);
+    } catch (e) {
+      return null;  // the untiled run reports the unreadable sidecar
+    }
+  }
+
+  if (!options.tiling && !sidecarData.tiling) return null;
+  return { sidecarData, tiling: { ...DEFAULT_TILING, ...sidecarData.tiling, ...options.tiling } };
+}
+
+function createImageCollection(eeApi, assetId) {
+  return new Promise((resolve, reject) => {
+    eeApi.data.createAsset({ type: 'ImageCollection' }, assetId, false, {},
+      (result, err) => (err ? reject(new Error(`Could not create ${assetId}: ${err}`)) : resolve()));
+  });
+}
+
+function copyAsset(eeApi, sourceId, destinationId) {
+  return new Promise((resolve, reject) => {
+    eeApi.data.copyAsset(sourceId, destinationId, false,
+      (result, err) => (err ? reject(new Error(`Could not copy ${sourceId} to ${destinationId}: ${err}`)) : resolve()));
+  });
+}
+
+/**
+ * Exports the mosaic of the tile images to `target`, clipped to the sidecar's
+ * export region, with the sidecar's export settings and onExists policy.
+ * Returns the task record (as kept in a sandbox's __submittedTasks).
+ */
+async function submitMosaicExport(tileAssets, target, description, sidecarData, logger, retries) {
+  const studyData = reconstructGeometries(JSON.parse(JSON.stringify(sidecarData)), logger, ee);
+  const { fileFormat: _unused, ...settings } = sidecarExportSettings(studyData, ee);
+
+  // mosaic() forgets the tiles' projection; keep the first tile's as the default
+  const images = tileAssets.map(t => ee.Image(t.assetId));
+  let image = ee.ImageCollection(images).mosaic().setDefaultProjection(images[0].projection());
+  if (settings.region) image = image.clip(settings.region);
+
+  const record = { type: 'image.toAsset', config: { maxPixels: 1e13, ...settings, image, description, assetId: target }, id: null };
+  const onExists = (sidecarData.exportParameters && sidecarData.exportParameters.onExists) || 'fail';
+  await resolveExistingAsset(record, onExists, ee, logger);
+  if (record.skipped) return record;
+
+  const task = ee.batch.Export.image.toAsset(record.config);
+  await withRetry(`mosaic export ${description}`, (attempt) => new Promise((resolve, reject) => {
+    record.attempts = attempt;
+    task.start(resolve, (err) => reject(new Error(String(err))));
+  }), logger, retries, 'taskSubmission');
+  record.id = task.id;
+  logger.event('info', `Mosaic export started: ${record.config.assetId}`,
+    { task: { id: task.id, type: record.type, attempts: record.attempts, config: serializeExportConfig(record.config) } });
+  return record;
+}
+
+/** Copies the tile images into the image collection `target`, creating it if needed. */
+async function collectTileAssets(tileAssets, target, logger) {
+  if (!(await assetExists(ee, target))) {
+    await withRetry(`creating ${target}`, () => createImageCollection(ee, target), logger, null, 'mosaic');
+    logger.success(`Created image collection: ${target}`);
+  }
+  for (const { assetId, suffix } of tileAssets) {
+    await withRetry(`copying ${assetId}`, () => copyAsset(ee, assetId, `${target}/${suffix}`), logger, null, 'mosaic');
+    logger.info(`Copied ${assetId} → ${target}/${suffix}`);
+  }
+  return { type: 'collection', config: { assetId: target }, id: null, result: { state: 'COMPLETED', error: null } };
+}
+
+/** runExperiment() for a tiled experiment: one run per tile, then the mosaic step. */
+async function runTiledExperiment(userScript, moduleRoot, sidecarPath, options, { sidecarData, tiling }) {
+  const experimentName = options.name || path.basename(sidecarPath, '.json');
+  const logger = new Logger(config.logDir, { prefix: options.prefix, experiment: experimentName });
 
   if (!config.noLog) {
     logger.initLogFile(experimentName);
   }
 
-  logger.banner('BULC-D HEADLESS LAB RUNNER v11.0');
+  const run = {
+    experimentName,
+    logger,
+    manifest: createRunManifest(experimentName, userScript, sidecarPath),
+    retries: { authentication: 0, initialization: 0, taskSubmission: 0 }
+  };
+  run.manifest.sidecar.sha256 = sidecarHash(sidecarData);
+  run.manifest.sidecar.resolved = JSON.parse(JSON.stringify(sidecarData));
 
-  // --- Load and validate sidecar ---
-  logger.section('Loading Experiment Configuration');
+  const result = await executeTiledExperiment(userScript, moduleRoot, sidecarPath, sidecarData, tiling, options, run);
+  const runManifest = writeRunManifest(run.manifest, result, run, logger);
+
+  return { ...result, retries: run.retries, runManifest };
+}
+
+async function executeTiledExperiment(userScript, moduleRoot, sidecarPath, sidecarData, tiling, options, run) {
+  const { experimentName, logger, manifest } = run;
+
+  logger.banner(`TILED EXPERIMENT: ${experimentName}`);
+
+  const timestamp = options.timestamp || runTimestamp();
+  const exportNames = templateValues(experimentName, sidecarData, options.index || 0, timestamp);
+
+  // Problems with the tiling block itself exist only here; each tile validates the rest again
+  const validation = validateSidecar(sidecarData, sidecarPath, { template: exportNames, batchAssets: options.batchAssets });
+  if (validation.errors.length > 0) {
+    recordValidationReport(experimentName, sidecarPath, validation.issues);
+    logger.error('Validation failed with errors:');
+    validation.issues.filter(i => i.severity === 'error')
+      .forEach(i => logger.event('error', `  • ${i.message}`, { code: i.code, path: i.path, rule: i.rule }));
+    return { success: false, error: `${validation.errors.length} validation error(s)`, errors: validation.errors };
+  }
 
-  let sidecarData;
+  let grid;
   try {
-    const raw = fs.readFileSync(path.resolve(sidecarPath), 'utf8');
-    sidecarData = JSON.parse(raw);
-    logger.success(`Loaded sidecar: ${path.basename(sidecarPath)}`);
+    grid = expandTiles(experimentName, sidecarData, tiling);
   } catch (e) {
-    logger.error(`Failed to parse JSON: ${e.message}`);
-    return { success: false, error: e.message };
+    logger.error(`Invalid tiling: ${e.message}`);
+    recordValidationReport(experimentName, sidecarPath, [
+      { severity: 'error', code: 'INVALID_TILING', path: 'tiling', message: e.message }
+    ]);
+    return { success: false, error: `Invalid tiling: ${e.message}` };
   }
 
-  // Validate
-  logger.section('Validating Parameters');
-  const validation = validateSidecar(sidecarData, sidecarPath);
+  const ep = sidecarData.exportParameters || {};
+  const target = expandTemplate(tiling.mosaicAssetId || ep.assetId, exportNames);
+  const description = `${expandTemplate(ep.description, exportNames) || exportNames.experiment}_mosaic`;
+
+  const outside = grid.rows * grid.columns - grid.tiles.length;
+  logger.info(`Study area split into ${grid.rows} × ${grid.columns} tiles of ${tiling.tileSize}°` +
+    (tiling.overlap > 0 ? ` with ${tiling.overlap}° overlap` : '') +
+    (outside > 0 ? `; ${outside} tile(s) outside the study area left out` : ''));
+  grid.tiles.forEach((t, i) => logger.item(`  ${i + 1}. ${t.name} ${Style.gray(`[${t.tile.bbox.join(', ')}]`)}`, { tile: t.tile }));
+  logger.info(tiling.mosaic === 'none'
+    ? 'No mosaic step (tiling.mosaic is "none")'
+    : `Mosaic step: ${tiling.mosaic === 'image' ? 'image export' : 'image collection'} → ${target}`);
+
+  const parallel = Math.max(1, Math.min(config.parallel, grid.tiles.length));
+  const assetClaims = new Map();
+  const tileResults = await runWithConcurrency(grid.tiles, parallel, async (t, i) => {
+    logger.info(`Running tile ${i + 1}/${grid.tiles.length}: ${t.name}`);
+    const result = await runExperiment(userScript, moduleRoot, sidecarPath, {
+      prefix: parallel > 1 ? t.name : options.prefix,
+      name: t.name,
+      sidecarData: t.sidecarData,
+      index: options.index,
+      timestamp,
+      batchAssets: options.batchAssets,
+      assetClaims,
+      tiling: false
+    });
+    if (result.success) logger.success(`Finished tile ${t.name}`);
+    else logger.error(`Tile ${t.name} failed: ${result.error || 'Unknown error'}`);
+    return result;
+  });
 
-  if (validation.errors.length > 0) {
-    logger.error('Validation failed with errors:');
-    validation.errors.forEach(e => logger.error(`  • ${e}`));
-    return { success: false, errors: validation.errors };
+  const tiles = grid.tiles.map((t, i) => ({
+    name: t.name,
+    ...t.tile,
+    success: tileResults[i].success,
+    error: tileResults[i].error || null,
+    runManifest: tileResults[i].runManifest || null
+  }));
+  manifest.tiling = { ...tiling, rows: grid.rows, columns: grid.columns, tiles };
+
+  const tasks = tileResults.flatMap(r => r.tasks || []);
+  const failedTiles = tiles.filter(t => !t.success);
+  const summary = { tiles, tasks, tasksSubmitted: tileResults.reduce((n, r) => n + (r.tasksSubmitted || 0), 0) };
+  const failure = failedTiles.length > 0 && `${failedTiles.length} of ${tiles.length} tile(s) failed`;
+
+  logger.section('Tiles Finished');
+  logger.info(`${tiles.length - failedTiles.length} of ${tiles.length} tile(s) succeeded`);
+
+  if (config.offline) {
+    if (!failure && tiling.mosaic !== 'none') logger.info(`[OFFLINE] Would mosaic the tile exports into ${tiling.mosaic === 'image' ? 'image' : 'image collection'} ${target}`);
+    return { success: !failure, ...(failure && { error: failure }), offline: true, exports: tileResults.flatMap(r => r.exports || []), tiles };
+  }
+  if (config.dryRun) {
+    if (!failure && tiling.mosaic !== 'none') logger.info(`[DRY-RUN] Would mosaic the tile exports into ${tiling.mosaic === 'image' ? 'image' : 'image collection'} ${target}`);
+    return { success: !failure, ...(failure && { error: failure }), dryRun: true, tiles };
+  }
+  if (failure) {
+    logger.error(`${failure}; mosaic step skipped`);
+    return { success: false, error: failure, ...summary };
+  }
+  if (tiling.mosaic === 'none') {
+    logger.info('No mosaic step (tiling.mosaic is "none")');
+    return { success: true, ...summary };
   }
 
-  if (validation.warnings.length > 0) {
-    logger.warning('Validation warnings:');
-    validation.warnings.forEach(w => logger.warning(`  • ${w}`));
+  // The mosaic combines one image asset per tile
+  const tileAssets = [];
+  for (const [i, r] of tileResults.entries()) {
+    const images = (r.tasks || []).filter(t => t.type === 'image.toAsset' && t.assetId);
+    if (images.length !== 1) {
+      const message = `Tile ${tiles[i].name} exported ${images.length} image(s) to assets; the mosaic step needs exactly one per tile`;
+      logger.error(message);
+      return { success: false, error: message, ...summary };
+    }
+    tileAssets.push({ ...images[0], suffix: tiles[i].suffix });
   }
 
-  logger.success('Parameter validation passed');
+  const unfinished = tileAssets.filter(t => t.id && !['COMPLETED', 'SKIPPED', ...TERMINAL_TASK_STATES].includes(t.state));
+  if (unfinished.length > 0) {
+    logger.info(`Waiting for ${unfinished.length} tile export(s) before the mosaic step`);
+    const records = unfinished.map(t => ({ id: t.id, config: { description: t.description, assetId: t.assetId } }));
+    await waitForTasks(records, logger);
+    records.forEach((record, i) => Object.assign(unfinished[i], record.result));
+  }
 
-  // Show configuration summary
-  if (config.verbose) {
-    logger.table({
-      'Caller Script': userScript,
-      'Module Root': moduleRoot,
-      'Sidecar': sidecarPath,
-      'Dry Run': config.dryRun,
-      'Change Threshold': sidecarData.analysisParameters?.changeThreshold,
-      'Initialization': sidecarData.advancedParameters?.initializationApproach
-    }, 'Configuration Summary:');
+  const incomplete = tileAssets.filter(t => !['COMPLETED', 'SKIPPED'].includes(t.state));
+  if (incomplete.length > 0) {
+    const message = `${incomplete.length} tile export(s) did not complete; mosaic step skipped`;
+    logger.error(message);
+    return { success: false, error: message, ...summary };
   }
 
-  // Check user script exists
-  if (!fs.existsSync(userScript)) {
-    logger.error(`Caller script not found: ${userScript}`);
-    return { success: false, error: 'Caller script not found' };
+  logger.section('Mosaic');
+  let record;
+  try {
+    record = tiling.mosaic === 'collection'
+      ? await collectTileAssets(tileAssets, target, logger)
+      : await submitMosaicExport(tileAssets, target, description, sidecarData, logger, run.retries);
+  } catch (err) {
+    logger.error(`Mosaic step failed: ${err.message}`);
+    return { success: false, error: `Mosaic step failed: ${err.message}`, ...summary };
   }
 
-  // Dry run stops here
-  if (config.dryRun) {
-    logger.section('Dry Run Complete');
-    logger.success('All validations passed. Ready for execution.');
-    return { success: true, dryRun: true };
+  if (record.id && config.wait) await waitForTasks([record], logger);
+
+  const mosaic = {
+    id: record.id,
+    type: record.type,
+    description: record.type === 'collection' ? null : description,
+    assetId: record.config.assetId,
+    attempts: record.attempts || null,
+    ...(record.result || { state: record.skipped ? 'SKIPPED' : 'SUBMITTED', error: null })
+  };
+  manifest.tasks = [{ ...mosaic, config: serializeExportConfig(record.config) }];
+
+  logger.event('info', Style.time(`Total time: ${logger.elapsed()}`), { durationMs: Date.now() - logger.startTime });
+
+  if (config.wait && !['COMPLETED', 'SKIPPED'].includes(mosaic.state)) {
+    return { success: false, error: `Mosaic ${mosaic.state.toLowerCase()}`, ...summary, tasks: [...tasks, mosaic], mosaic };
   }
+  logger.success(record.type === 'collection'
+    ? `Tiles collected in ${mosaic.assetId}`
+    : `Mosaic of ${tileAssets.length} tile(s) ${mosaic.state === 'SKIPPED' ? 'skipped (asset exists)' : `exporting to ${mosaic.assetId}`}`);
+  return { success: true, ...summary, tasks: [...tasks, mosaic], tasksSubmitted: summary.tasksSubmitted + (record.id ? 1 : 0), mosaic };
+}
 
-  // --- Authenticate and Execute ---
-  logger.section('Initializing Google Earth Engine');
+// ═══════════════════════════════════════════════════════════════════════════════
+// SECTION 18: HTML REPORT
+// ═══════════════════════════════════════════════════════════════════════════════
+//
+// A single self-contained HTML page (inline styles, no scripts or external
+// assets) summarizing the results of runExperiment()/runBatch(). Everything
+// beyond the result itself comes from each experiment's run manifest.
+
+/** Headline parameters shown in the report's overview table. */
+function keyParameters(data) {
+  const ip = data.inputParameters || {};
+  const ap = data.analysisParameters || {};
+  const sensors = (collection) => Object.entries((ip[collection] || {}).datasetSelection || {})
+    .filter(([, enabled]) => enabled).map(([sensor]) => sensor);
+
+  return {
+    targetYear: ip.theTargetYear !== undefined ? ip.theTargetYear : null,
+    reduction: ip.whichReduction || null,
+    thresholds: Object.fromEntries(Object.entries(ap).filter(([key, value]) => /thresh/i.test(key) && typeof value === 'number')),
+    sensors: {
+      expectation: sensors('expectationCollectionParameters'),
+      target: sensors('targetCollectionParameters')
+    }
+  };
+}
+
+// Leaf values by dotted path; arrays are compared as a whole
+function flattenParameters(value, prefix = '', out = {}) {
+  if (isPlainObject(value)) {
+    Object.entries(value).forEach(([key, child]) => flattenParameters(child, prefix ? `${prefix}.${key}` : key, out));
+  } else {
+    out[prefix] = value;
+  }
+  return out;
+}
 
-  return new Promise((resolve) => {
-    const keyPath = process.env.GEE_KEY_PATH || './service-account-key.json';
+function parameterDiff(base, data) {
+  const a = flattenParameters(base);
+  const b = flattenParameters(data);
+  return [...new Set([...Object.keys(a), ...Object.keys(b)])].sort()
+    .filter(key => JSON.stringify(a[key]) !== JSON.stringify(b[key]))
+    .map(key => ({ path: key, base: a[key], value: b[key] }));
+}
 
-    if (!fs.existsSync(keyPath)) {
-      logger.error(`Service account key not found: ${keyPath}`);
-      logger.info('Set GEE_KEY_PATH environment variable or place key at ./service-account-key.json');
-      resolve({ success: false, error: 'Service account key not found' });
-      return;
+function loadRunManifest(manifestPath) {
+  try {
+    return manifestPath ? JSON.parse(fs.readFileSync(manifestPath, 'utf8')) : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+function reportEntries(results) {
+  return results.map(r => {
+    const manifestPath = r.skipped ? r.previousRun && r.previousRun.runManifest : r.runManifest;
+    const manifest = loadRunManifest(manifestPath);
+    return {
+      name: r.file || (manifest && manifest.experiment) || 'experiment',
+      status: r.skipped ? 'skipped' : r.success ? 'succeeded' : 'failed',
+      error: r.error || null,
+      manifestPath: manifestPath || null,
+      manifest
+    };
+  });
+}
+
+const REPORT_STYLE = `
+  body { font: 14px/1.4 -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; margin: 24px; color: #222; }
+  h1 { font-size: 20px; } h2 { font-size: 16px; margin-top: 28px; } h3 { font-size: 14px; margin: 12px 0 4px; }
+  table { border-collapse: collapse; margin: 6px 0; } th, td { border: 1px solid #ddd; padding: 4px 8px; text-align: left; vertical-align: top; }
+  th { background: #f4f4f4; } code { font-size: 12px; } .muted { color: #888; }
+  .succeeded { color: #1a7f37; font-weight: bold; } .failed { color: #cf222e; font-weight: bold; } .skipped { color: #888; font-weight: bold; }
+  details { margin: 8px 0; border: 1px solid #ddd; padding: 6px 10px; } summary { cursor: pointer; font-weight: bold; }
+`;
+
+function renderReport(entries, title, reportPath) {
+  const h = escapeHtml;
+  const link = (file, label) => (file
+    ? `<a href="${h(path.relative(path.dirname(path.resolve(reportPath)), path.resolve(file)))}">${h(label)}</a>`
+    : '<span class="muted">none</span>');
+  const value = (v) => `<code>${h(v === undefined ? '(unset)' : JSON.stringify(v))}</code>`;
+  const table = (headers, rows) => rows.length === 0 ? '<p class="muted">None</p>'
+    : `<table><tr>${headers.map(c => `<th>${h(c)}</th>`).join('')}</tr>${rows.map(row => `<tr>${row.map(c => `<td>${c}</td>`).join('')}</tr>`).join('')}</table>`;
+
+  const base = entries.find(e => e.manifest && e.manifest.sidecar.resolved);
+  const counts = ['succeeded', 'failed', 'skipped'].map(s => `${entries.filter(e => e.status === s).length} ${s}`).join(', ');
+
+  const overview = table(
+    ['Experiment', 'Status', 'Duration', 'Target year', 'Reduction', 'Sensors (expectation / target)', 'Thresholds', 'Tasks', 'Warnings', 'Log'],
+    entries.map(e => {
+      const m = e.manifest;
+      const params = m && m.sidecar.resolved ? keyParameters(m.sidecar.resolved) : null;
+      const warnings = m ? (m.validation || []).filter(i => i.severity === 'warning').length : 0;
+      return [
+        `<a href="#${h(e.name)}">${h(e.name)}</a>`,
+        `<span class="${e.status}">${e.status}</span>`,
+        m && m.durationMs !== null ? h(formatDuration(m.durationMs)) : '',
+        params ? h(params.targetYear) : '',
+        params ? h(params.reduction || '') : '',
+        params ? h(`${params.sensors.expectation.join(', ') || 'none'} / ${params.sensors.target.join(', ') || 'none'}`) : '',
+        params ? Object.entries(params.thresholds).map(([k, v]) => `${h(k)}: ${h(v)}`).join('<br>') : '',
+        m ? String(m.tasks.length) : '',
+        String(warnings),
+        link(m && m.logFile, 'log')
+      ];
+    }));
+
+  const details = entries.map(e => {
+    const m = e.manifest;
+    const sections = [];
+    if (e.error) sections.push(`<h3>Error</h3><p class="failed">${h(e.error)}</p>`);
+    if (!m) {
+      sections.push('<p class="muted">No run manifest was recorded for this experiment.</p>');
+    } else {
+      sections.push(`<p>Mode: ${h(m.mode)} &middot; Started: ${h(m.startedAt)} &middot; Run manifest: ${link(e.manifestPath, path.basename(e.manifestPath))}</p>`);
+      sections.push('<h3>Validation issues</h3>' + table(['Severity', 'Code', 'Path', 'Message'],
+        (m.validation || []).map(i => [`<span class="${i.severity === 'error' ? 'failed' : 'muted'}">${h(i.severity)}</span>`,
+          h(i.code), `<code>${h(i.path)}</code>`, h(i.message)])));
+      if (base && m.sidecar.resolved && base !== e) {
+        sections.push(`<h3>Parameters differing from ${h(base.name)}</h3>` + table(['Parameter', base.name, e.name],
+          parameterDiff(base.manifest.sidecar.resolved, m.sidecar.resolved).map(d => [`<code>${h(d.path)}</code>`, value(d.base), value(d.value)])));
+      }
+      sections.push('<h3>Tasks</h3>' + table(['Type', 'Description / asset', 'Task ID', 'State', 'Error'],
+        m.tasks.map(t => [h(t.type), h(t.config.assetId || t.config.description || ''), h(t.id || ''), h(t.state || ''), h(t.error || '')])));
     }
+    return `<details id="${h(e.name)}"${e.status === 'failed' ? ' open' : ''}><summary>${h(e.name)} &mdash; <span class="${e.status}">${e.status}</span></summary>${sections.join('\n')}</details>`;
+  });
 
-    const KEY = require(path.resolve(keyPath));
-    logger.info(`Authenticating as: ${KEY.client_email}`);
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${h(title)}</title>
+<style>${REPORT_STYLE}</style>
+</head>
+<body>
+<h1>${h(title)}</h1>
+<p class="muted">Generated ${h(new Date().toISOString())} by BULC-D Headless Lab Runner ${h(RUNNER_VERSION)} &middot; ${h(counts)}</p>
+<h2>Experiments</h2>
+${overview}
+<h2>Details</h2>
+${details.join('\n')}
+</body>
+</html>
+`;
+}
+
+/**
+ * Writes the HTML report for `results` to `reportPath` and returns the path
+ * (null if it could not be written).
+ */
+function writeHtmlReport(results, title, reportPath, logger) {
+  try {
+    fs.mkdirSync(path.dirname(reportPath), { recursive: true });
+    fs.writeFileSync(reportPath, renderReport(reportEntries(results), title, reportPath));
+  } catch (e) {
+    logger.warning(`Could not write HTML report ${reportPath}: ${e.message}`);
+    return null;
+  }
+  logger.info(`HTML report written to: ${reportPath}`);
+  return reportPath;
+}
 
-    ee.data.authenticateViaPrivateKey(KEY, () => {
-      logger.success('Authentication successful');
+// ═══════════════════════════════════════════════════════════════════════════════
+// SECTION 19: SIDECAR DIFF
+// ═══════════════════════════════════════════════════════════════════════════════
+//
+//   node runner11.js diff <a.json> <b.json>
+//   node runner11.js diff <caller.js> <modules_dir> <sidecar.json>
+//
+// Compares two resolved sidecars (or the caller's own parameter modules and a
+// sidecar) by parameter path. Lists compare as sets except the ordered ones,
+// comment fields are ignored, unchanged sensor dictionaries are collapsed into
+// one line, and differences inside sensors disabled on both sides are hidden.
+
+// Lists whose order is significant; every other list compares as a set
+const ORDERED_LISTS = ['binCuts', 'defaultStudyAreaCoordinates', 'defaultStudyAreaBBox', 'coordinates', 'regionCoordinates', 'crsTransform'];
+const IGNORED_DIFF_KEYS = ['comment', '_comment', 'extends', 'sweep'];
+const SENSOR_DICTIONARY = /^([A-Z0-9]{2})dictionary$/;
+
+// Parameter module of each sidecar section, matched the way the resolver injects them
+const PARAMETER_MODULES = {
+  inputParameters: 'inputparameters',
+  analysisParameters: 'analysisparameters',
+  advancedParameters: 'advancedparameters',
+  exportParameters: 'exportparameters'
+};
 
-      ee.initialize(null, null, () => {
-        logger.success('Earth Engine initialized');
+/**
+ * Loads the parameter modules the caller requires, without any sidecar
+ * injection and against the offline ee stand-in, and returns them in sidecar
+ * shape. A study area geometry becomes defaultStudyAreaCoordinates, as in a sidecar.
+ */
+function callerDefaults(userScript, moduleRoot) {
+  const source = fs.readFileSync(userScript, 'utf8');
+  const requires = [...source.matchAll(/require\(\s*['"]([^'"]+)['"]\s*\)/g)].map(m => m[1]);
+  const resolver = createModuleResolver(moduleRoot, createSharedShims(createOfflineEE()), {}, logger);
+
+  const plain = (value) => {
+    if (value && value.__kind) return value.__geojson ? value.__geojson : `ee.${value.__kind}`;
+    if (typeof value === 'function') return '[Function]';
+    if (Array.isArray(value)) return value.map(plain);
+    if (!isPlainObject(value)) return value;
+    return Object.fromEntries(Object.entries(value).flatMap(([key, child]) =>
+      (key === 'defaultStudyArea' && child && child.__geojson
+        ? [['defaultStudyAreaCoordinates', child.__geojson.coordinates]]
+        : [[key, plain(child)]])));
+  };
 
-        logger.section('Executing Experiment');
+  const defaults = {};
+  for (const [section, pattern] of Object.entries(PARAMETER_MODULES)) {
+    const importPath = requires.find(p => p.toLowerCase().includes(pattern));
+    if (!importPath) continue;
+    const exported = resolver(importPath)[section];
+    defaults[section] = plain(typeof exported === 'function' ? exported() : exported);
+  }
 
-        try {
-          // Reconstruct geometries
-          sidecarData = reconstructGeometries(sidecarData);
+  // Collections get the top-level study area at run time (see reconstructGeometries)
+  const ip = defaults.inputParameters || {};
+  ['expectationCollectionParameters', 'targetCollectionParameters'].forEach(cp => {
+    if (ip[cp] && JSON.stringify(ip[cp].defaultStudyAreaCoordinates) === JSON.stringify(ip.defaultStudyAreaCoordinates)) {
+      delete ip[cp].defaultStudyAreaCoordinates;
+    }
+  });
+  return defaults;
+}
 
-          // Create shared shims for print, Map, ui (used by modules)
-          const sharedShims = createSharedShims();
+function diffValues(a, b, keyPath, changes) {
+  const key = keyPath.split('.').pop();
+  if (IGNORED_DIFF_KEYS.includes(key)) return;
 
-          // Create sandbox and resolver with shared shims and parameter injection
-          const moduleResolver = createModuleResolver(moduleRoot, sharedShims, sidecarData);
-          const sandbox = createSandbox(sidecarData, moduleResolver, sharedShims);
+  if (isPlainObject(a) && isPlainObject(b)) {
+    [...new Set([...Object.keys(a), ...Object.keys(b)])].sort()
+      .forEach(k => diffValues(a[k], b[k], keyPath ? `${keyPath}.${k}` : k, changes));
+    return;
+  }
 
-          // Read and execute caller script
-          const code = fs.readFileSync(userScript, 'utf8');
-          vm.createContext(sandbox);
+  const comparable = (v) => (Array.isArray(v) && !ORDERED_LISTS.includes(key)
+    ? JSON.stringify(v.map(item => JSON.stringify(item)).sort())
+    : JSON.stringify(v));
+  if (comparable(a) === comparable(b)) return;
 
-          logger.info(`Executing: ${path.basename(userScript)}`);
-          vm.runInContext(code, sandbox);
+  const kind = a === undefined ? 'added' : b === undefined ? 'removed' : 'changed';
+  changes.push({ path: keyPath, kind, from: a, to: b });
+}
 
-          // Report results
-          logger.section('Execution Complete');
+// Sensor code (e.g. "L8") and collection of a change inside a sensor dictionary
+function sensorOf(keyPath) {
+  const parts = keyPath.split('.');
+  const index = parts.findIndex(p => SENSOR_DICTIONARY.test(p));
+  return index === -1 ? null : { collection: parts.slice(0, index).join('.'), dictionary: parts[index], sensor: parts[index].match(SENSOR_DICTIONARY)[1] };
+}
 
-          const tasks = sandbox.__submittedTasks;
-          if (tasks.length > 0) {
-            logger.success(`Submitted ${tasks.length} task(s) to GEE:`);
-            tasks.forEach((t, i) => {
-              logger.info(`  ${i + 1}. ${t.type}: ${t.config.description || t.config.assetId || 'unnamed'}`);
-            });
-          } else {
-            logger.warning('No export tasks were submitted');
-          }
+/**
+ * Semantic differences between two sidecars: `{ changes, unchangedSensors,
+ * hidden }`. `unchangedSensors` maps each collection to its identical sensor
+ * dictionaries; `hidden` counts changes in sensors disabled on both sides.
+ */
+function diffSidecars(a, b) {
+  const all = [];
+  diffValues(a, b, '', all);
+
+  const enabled = (data, collection, sensor) => Boolean(getByPath(data, `${collection}.datasetSelection.${sensor}`));
+  const changes = [];
+  let hidden = 0;
+  for (const change of all) {
+    const sensor = sensorOf(change.path);
+    if (sensor && !enabled(a, sensor.collection, sensor.sensor) && !enabled(b, sensor.collection, sensor.sensor)) hidden++;
+    else changes.push(change);
+  }
 
-          logger.info(Style.time(`Total time: ${logger.elapsed()}`));
+  const unchangedSensors = {};
+  for (const data of [a, b]) {
+    Object.keys(flattenParameters(data)).map(sensorOf).filter(Boolean).forEach(({ collection, dictionary }) => {
+      if (all.some(c => c.path.startsWith(`${collection}.${dictionary}.`) || c.path === `${collection}.${dictionary}`)) return;
+      unchangedSensors[collection] = unchangedSensors[collection] || new Set();
+      unchangedSensors[collection].add(dictionary);
+    });
+  }
 
-          resolve({ success: true, tasksSubmitted: tasks.length });
+  return {
+    changes,
+    unchangedSensors: Object.fromEntries(Object.entries(unchangedSensors).map(([c, set]) => [c, [...set].sort()])),
+    hidden
+  };
+}
 
-        } catch (err) {
-          logger.error('Runtime error:');
-          logger.error(err.stack);
-          resolve({ success: false, error: err.message });
-        }
-      }, (err) => {
-        logger.error(`Failed to initialize EE: ${err}`);
-        resolve({ success: false, error: err });
-      });
-    }, (err) => {
-      logger.error(`Authentication failed: ${err}`);
-      resolve({ success: false, error: err });
+function printSidecarDiff(diff, labelA, labelB) {
+  const show = (v) => (v === undefined ? '(unset)' : JSON.stringify(v));
+  const out = (line = '') => console.log(line);
+
+  out(`${Style.red(`--- ${labelA}`)}`);
+  out(`${Style.green(`+++ ${labelB}`)}`);
+
+  const sections = [...new Set(diff.changes.map(c => c.path.split('.')[0]))];
+  sections.forEach(section => {
+    out('');
+    out(Style.bold(section));
+    diff.changes.filter(c => c.path.split('.')[0] === section).forEach(c => {
+      const rest = c.path.slice(section.length + 1) || section;
+      if (c.kind === 'added') out(`  ${Style.green('+')} ${rest}: ${Style.green(show(c.to))}`);
+      else if (c.kind === 'removed') out(`  ${Style.red('-')} ${rest}: ${Style.red(show(c.from))}`);
+      else out(`  ${Style.yellow('~')} ${rest}: ${Style.red(show(c.from))} → ${Style.green(show(c.to))}`);
     });
   });
+
+  out('');
+  Object.entries(diff.unchangedSensors).forEach(([collection, dictionaries]) => {
+    out(Style.gray(`  = ${collection}: ${dictionaries.join(', ')} unchanged`));
+  });
+  if (diff.hidden > 0) {
+    out(Style.gray(`  ${diff.hidden} difference(s) in sensors disabled on both sides not shown`));
+  }
+  out(diff.changes.length === 0
+    ? Style.success('No effective differences')
+    : `${diff.changes.length} effective difference(s)`);
+}
+
+/**
+ * Runs the diff command; returns the exit code as diff(1) does (0: no
+ * effective differences, 1: differences, 2: a side could not be loaded).
+ */
+function runDiff(args) {
+  let a, b, labelA, labelB;
+  try {
+    [a, b, labelA, labelB] = loadDiffSides(args);
+  } catch (e) {
+    logger.error(e.message);
+    return 2;
+  }
+
+  const diff = diffSidecars(a, b);
+  printSidecarDiff(diff, labelA, labelB);
+  return diff.changes.length === 0 ? 0 : 1;
+}
+
+function loadDiffSides(args) {
+  let a, b, labelA, labelB;
+  if (args.length === 3) {
+    const [userScript, moduleRoot, sidecarPath] = args;
+    a = callerDefaults(userScript, moduleRoot);
+    b = resolveSidecar(sidecarPath);
+    // advancedParameters are overlaid on the module's dictionary, not swapped in
+    if (a.advancedParameters && b.advancedParameters) {
+      b.advancedParameters = { ...a.advancedParameters, ...b.advancedParameters };
+    }
+    [labelA, labelB] = [`${path.basename(userScript)} defaults`, sidecarPath];
+  } else {
+    [labelA, labelB] = args;
+    a = resolveSidecar(labelA);
+    b = resolveSidecar(labelB);
+  }
+  return [a, b, labelA, labelB];
 }
 
 // ═══════════════════════════════════════════════════════════════════════════════
-// SECTION 8: BATCH EXECUTION
+// SECTION 20: PROJECT COMMANDS (SETUP, SCAN, STATUS)
 // ═══════════════════════════════════════════════════════════════════════════════
+//
+// `setup` and `scan` hand over to setup-gee-repos.js with the project's
+// modules directory; `status` summarizes what earlier runs recorded under the
+// runs directory, optionally refreshing export task states from Earth Engine.
+
+const { spawnSync } = require('child_process');
+
+/** Runs setup-gee-repos.js with the remaining arguments; returns its exit code. */
+function runSetupScript(command, args) {
+  const scriptArgs = [...args];
+  if (command === 'scan') scriptArgs.push('--scan-only');
+  if (config.moduleRoot) scriptArgs.push('--modules-dir', config.moduleRoot);
+  if (config.verbose) scriptArgs.push('--verbose');
+  if (config.help) scriptArgs.push('--help');
+
+  const result = spawnSync(process.execPath, [path.join(__dirname, 'setup-gee-repos.js'), ...scriptArgs], { stdio: 'inherit' });
+  if (result.error) {
+    console.error(Style.error(`Could not start setup-gee-repos.js: ${result.error.message}`));
+    return 1;
+  }
+  return result.status === null ? 1 : result.status;
+}
 
-async function runBatch(userScript, moduleRoot, experimentsDir) {
-  logger.banner('BATCH MODE ENABLED');
+function latestRunManifest(experiment) {
+  let files;
+  try {
+    files = fs.readdirSync(path.join(config.runsDir, experiment)).filter(f => f.endsWith('.json')).sort();
+  } catch (e) {
+    return null;
+  }
+  return files.length ? path.join(config.runsDir, experiment, files[files.length - 1]) : null;
+}
 
-  // Find all JSON files in the experiments directory
-  const files = fs.readdirSync(experimentsDir)
-    .filter(f => f.endsWith('.json'))
-    .map(f => path.join(experimentsDir, f));
+function statusRow(name, manifestPath, fallback = {}) {
+  const manifest = loadRunManifest(manifestPath) || {};
+  return {
+    name,
+    status: fallback.status || manifest.status || 'unknown',
+    mode: manifest.mode || null,
+    finishedAt: fallback.finishedAt || manifest.finishedAt || null,
+    error: fallback.error || manifest.error || null,
+    tasks: (manifest.tasks || []).filter(t => t.id || t.state).map(t => ({
+      id: t.id,
+      name: t.config && (t.config.description || t.config.assetId) || t.id,
+      state: t.state || (t.id ? 'SUBMITTED' : null)
+    }))
+  };
+}
 
-  if (files.length === 0) {
-    logger.error(`No JSON files found in: ${experimentsDir}`);
-    return;
+/**
+ * Status rows for the requested targets: an experiments directory or sweep
+ * sidecar reads its batch state, a sidecar file or bare name selects one
+ * experiment under the runs directory. Without targets every recorded experiment is listed.
+ */
+function collectStatusRows(targets) {
+  if (targets.length === 0) {
+    let names = [];
+    try {
+      names = fs.readdirSync(config.runsDir, { withFileTypes: true })
+        .filter(d => d.isDirectory() && d.name !== 'batches').map(d => d.name).sort();
+    } catch (e) {
+      // no runs recorded yet
+    }
+    return names.map(name => statusRow(name, latestRunManifest(name)));
   }
 
-  logger.info(`Found ${files.length} experiment(s) to run`);
-  files.forEach((f, i) => logger.info(`  ${i + 1}. ${path.basename(f)}`));
-
-  const results = [];
+  return targets.flatMap(target => {
+    if (!fs.existsSync(target) || (!fs.statSync(target).isDirectory() && !sidecarDeclaresSweep(target))) {
+      const name = path.basename(target, '.json');
+      const manifestPath = latestRunManifest(name);
+      if (!manifestPath) console.error(Style.warning(`No recorded runs for ${name} in ${config.runsDir}`));
+      return manifestPath ? [statusRow(name, manifestPath)] : [];
+    }
 
-  for (let i = 0; i < files.length; i++) {
-    const file = files[i];
-    console.error('\n' + Style.yellow('═'.repeat(80)));
-    logger.info(`Running experiment ${i + 1}/${files.length}: ${path.basename(file)}`);
-    console.error(Style.yellow('═'.repeat(80)));
+    const statePath = batchStatePath(target);
+    if (!fs.existsSync(statePath)) {
+      console.error(Style.warning(`No batch state recorded for ${target} (expected ${statePath})`));
+      return [];
+    }
+    const state = loadBatchState(statePath);
+    return Object.entries(state.experiments).map(([name, entry]) => statusRow(name, entry.runManifest, entry));
+  });
+}
 
-    const result = await runExperiment(userScript, moduleRoot, file);
-    results.push({
-      file: path.basename(file),
-      ...result
-    });
+async function refreshTaskStates(rows) {
+  const pending = rows.flatMap(r => r.tasks).filter(t => t.id && !TERMINAL_TASK_STATES.includes(t.state));
+  if (pending.length === 0) return;
 
-    // Clear module cache between experiments
-    moduleCache.clear();
+  if (!fs.existsSync(config.keyPath)) {
+    throw new Error(`Service account key not found: ${config.keyPath}`);
   }
+  await initializeEarthEngine(require(path.resolve(config.keyPath)), logger);
 
-  // Summary
-  logger.banner('BATCH SUMMARY');
+  const statuses = await getTaskStatuses(pending.map(t => t.id));
+  statuses.forEach(status => {
+    pending.filter(t => t.id === status.id).forEach(t => { t.state = status.state; });
+  });
+}
 
-  const successful = results.filter(r => r.success).length;
-  const failed = results.filter(r => !r.success).length;
+function printStatusRows(rows) {
+  const out = (line = '') => console.log(line);
+  const colour = { succeeded: Style.green, failed: Style.red };
+  const width = Math.max(10, ...rows.map(r => r.name.length));
+
+  rows.forEach(r => {
+    const status = (colour[r.status] || Style.yellow)(r.status.padEnd(9));
+    const finished = r.finishedAt ? r.finishedAt.replace('T', ' ').replace(/\.\d+Z$/, 'Z') : '-';
+    out(`${Style.bold(r.name.padEnd(width))}  ${status}  ${(r.mode || '-').padEnd(7)}  ${Style.gray(finished)}`);
+    if (r.error) out(`  ${Style.red(r.error)}`);
+    r.tasks.forEach(t => {
+      const state = t.state === 'COMPLETED' ? Style.green(t.state)
+        : ['FAILED', 'CANCELLED'].includes(t.state) ? Style.red(t.state) : Style.yellow(t.state);
+      out(`  ${Style.gray('•')} ${t.name}: ${state}${t.id && t.id !== t.name ? Style.gray(` (${t.id})`) : ''}`);
+    });
+  });
+}
 
-  logger.info(`Total: ${results.length} | ${Style.green(`Passed: ${successful}`)} | ${Style.red(`Failed: ${failed}`)}`);
+/** `status [experiment|batch-input ...] [--refresh]`; returns the exit code. */
+async function runStatus(args) {
+  const rows = collectStatusRows(args);
+  if (rows.length === 0) {
+    console.error(Style.warning(`No recorded runs found in ${config.runsDir}`));
+    return 1;
+  }
 
-  results.forEach(r => {
-    if (r.success) {
-      logger.success(`${r.file} - ${r.tasksSubmitted || 0} tasks`);
-    } else {
-      logger.error(`${r.file} - ${r.error || 'Unknown error'}`);
+  if (config.refresh) {
+    try {
+      await refreshTaskStates(rows);
+    } catch (err) {
+      console.error(Style.error(`Could not refresh task states: ${err.message}`));
+      return 1;
     }
-  });
+  }
 
-  return results;
+  printStatusRows(rows);
+  return 0;
 }
 
 // ═══════════════════════════════════════════════════════════════════════════════
-// SECTION 9: MAIN ENTRY POINT
+// SECTION 21: MAIN ENTRY POINT
 // ═══════════════════════════════════════════════════════════════════════════════
 
 // Export for testing
@@ -941,14 +5914,42 @@ process.on('SIGTERM', () => {
   process.exit(143);
 });
 
+// A single sidecar with a sweep block fans out into a batch of variants
+function sidecarDeclaresSweep(sidecarPath) {
+  try {
+    return Boolean(resolveSidecar(sidecarPath).sweep);
+  } catch (e) {
+    return false;
+  }
+}
+
 // Run if executed directly
 if (require.main === module) {
   (async () => {
     try {
-      if (config.batch) {
-        await runBatch(config.userScript, config.moduleRoot, config.sidecarJson);
+      if (config.command === 'diff') {
+        process.exit(runDiff(config.commandArgs));
+      } else if (config.command === 'setup' || config.command === 'scan') {
+        process.exit(runSetupScript(config.command, config.commandArgs));
+      } else if (config.command === 'status') {
+        process.exit(await runStatus(config.commandArgs));
+      } else if (config.batch || sidecarDeclaresSweep(config.sidecarJson)) {
+        const results = await runBatch(config.userScript, config.moduleRoot, config.sidecarJson);
+        if (results && !config.noLog) {
+          const batchName = path.basename(path.resolve(config.sidecarJson), '.json');
+          writeHtmlReport(results, `BULC-D batch report: ${batchName}`,
+            path.join(config.logDir, `batch_${batchName}_${runTimestamp()}.report.html`), logger);
+        }
+        printValidationReports();
+        process.exit(results && results.every(r => r.success) ? 0 : 1);
       } else {
         const result = await runExperiment(config.userScript, config.moduleRoot, config.sidecarJson);
+        const manifest = loadRunManifest(result.runManifest);
+        if (manifest && manifest.logFile) {
+          writeHtmlReport([result], `BULC-D run report: ${manifest.experiment}`,
+            manifest.logFile.replace(/\.log$/, '.report.html'), logger);
+        }
+        printValidationReports();
         process.exit(result.success ? 0 : 1);
       }
     } catch (err) {
@@ -10,6 +10,7 @@
  *   node setup-gee-repos.js --user alemlakes
  *   node setup-gee-repos.js --repos "r-2903-Dev,BULC-D,CommonCode"
  *   node setup-gee-repos.js --scan-only
+ *   node setup-gee-repos.js --modules-dir ../shared/gee_modules
  */
 
 const { execSync, spawn } = require('child_process');
@@ -82,6 +83,7 @@ function parseArgs() {
     user: config.geeUsername,
     repos: null,  // Will use defaults if null
     scanOnly: false,
+    modulesDir: null,
     help: false,
     verbose: false,
   };
@@ -99,6 +101,9 @@ function parseArgs() {
       case '--scan-only':
         options.scanOnly = true;
         break;
+      case '--modules-dir':
+        options.modulesDir = args[++i];
+        break;
       case '--verbose':
       case '-v':
         options.verbose = true;
@@ -520,6 +525,7 @@ ${Style.bold('Options:')}
   -u, --user USERNAME    GEE username (default: ${config.geeUsername})
   -r, --repos LIST       Comma-separated list of repos to clone
   --scan-only            Only scan for dependencies, don't clone
+  --modules-dir DIR      Where modules are placed and scanned (default: ./gee_modules)
   -v, --verbose          Enable verbose output
   -h, --help             Show this help
 
@@ -546,6 +552,7 @@ ${Style.bold('Authentication:')}
   }
 
   config.geeUsername = options.user;
+  if (options.modulesDir) config.geeModulesDir = path.resolve(options.modulesDir);
 
   banner('BULC-D GEE Repository Setup');
 